@@ -1,15 +1,94 @@
 'use strict';
 
+const async = require('async');
+const fs = require('fs');
 const { Gitlab } = require('gitlab');
+const path = require('path');
 //const { Gitlab } = require('@gitbeaker/node');
 // const GitLabStrategy = require('passport-gitlab2').Strategy;
 // const passport = require('passport');
 // const refresh = require('passport-oauth2-refresh');
-const yaml = require('js-yaml');
-const request = require('sync-request');
 
 const API = require('./api');
-const Tokens = require('./tokens');
+const TokenManager = require('./token_manager');
+const CommitCache = require('./commit_cache');
+const { loadYaml } = require('./config_schema');
+const {
+  CONFIG_DIRECTORY,
+  sortConfigFiles,
+  mergeConfigFiles,
+} = require('./config_directory');
+const { resolveIncludes } = require('./includes');
+const { matchesAny } = require('./patterns');
+
+/**
+ * The directory of the config templates bundled with the handler.
+ */
+const TEMPLATES_PATH = path.join(__dirname, '..', 'config-templates');
+
+/**
+ * The places a Probo config can be kept in, of which a repo may use only one.
+ */
+const CONFIG_SOURCES = ['.probo.yml', '.probo.yaml', CONFIG_DIRECTORY];
+
+/**
+ * The error of commits without a Probo config, which is cached like a config.
+ */
+const NO_CONFIG = 'No .probo.yml file was found.';
+
+/**
+ * Checks whether a ref is a full commit sha, whose contents never change.
+ * Branches and refs like refs/merge-requests/1/head move, so what is read at
+ * them must not be cached.
+ *
+ * @param {string} [ref] - The ref.
+ * @return {boolean} - Whether the ref is a commit sha.
+ */
+function isCommitSha(ref) {
+  return /^([0-9a-f]{40}|[0-9a-f]{64})$/i.test(ref || '');
+}
+
+/**
+ * Reads the Retry-After header of a response.
+ *
+ * @param {Response} [response] - The response.
+ * @return {number} - How long to wait, in milliseconds, or 0 if the response
+ *   does not say.
+ */
+function retryAfter(response) {
+  const value = response && response.headers && response.headers.get('retry-after');
+
+  if (!value) {
+    return 0;
+  }
+
+  // The header holds either a number of seconds or a date.
+  const seconds = Number(value);
+  const delay = isNaN(seconds) ? Date.parse(value) - Date.now() : seconds * 1000;
+
+  return delay > 0 ? delay : 0;
+}
+
+/**
+ * Lists the paths a list of GitLab diffs touch, including the old paths of
+ * renamed and deleted files.
+ *
+ * @param {Object[]} [diffs] - The diffs.
+ * @return {string[]} - The paths.
+ */
+function changedPaths(diffs) {
+  const paths = [];
+
+  (diffs || []).forEach((diff) => {
+    [diff.old_path, diff.new_path].forEach((path) => {
+      if (path && paths.indexOf(path) === -1) {
+        paths.push(path);
+      }
+    });
+  });
+
+  return paths;
+}
 
 class GitLab {
   static BASE_URL = 'https://gitlab.com';
@@ -25,45 +104,95 @@ class GitLab {
     this.config = config;
     this.logger = logger;
     this.apiLogger = apiLogger;
+    this.cache = new CommitCache(config.commitCache);
+    this.tokens = new TokenManager(config, logger);
   }
 
   /**
    * Builds options for GitLab API and returns a client object.
    *
    * @param {object} project - A project object.
+   * @param {?Object} tokens - The OAuth tokens of the project, from
+   *   {@link GitLab#getTokens}. The handler token is used without them.
    * @return {import('gitlab')} - An instantiated and configured Gitlab client object.
    */
-  getApi(project) {
+  getApi(project, tokens) {
     let options = {
-      host: project.provider.baseUrl || GitLab.BASE_URL,
+      host: (project.provider && project.provider.baseUrl) || GitLab.BASE_URL,
     };
 
-    if (project.service_auth) {
-      // Gotta get the tokens from coordinator. At least until we can think of a better way.
-      const gitlabRequest = request('GET', this.config.api.url + '/projects/tokens', {
-        headers: {
-          'projectid': project.id,
-          'authorization': 'Bearer ' + this.config.api.token,
-        },
+    if (tokens) {
+      options.oauthToken = tokens.token;
+    } else {
+      options.token = this.config.gitLabToken;
+    }
+
+    return new Gitlab(options);
+  }
+
+  /**
+   * Gets the OAuth tokens of a project.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @return {Promise<?Object>} - A promise for the tokens, or null if the
+   *   project has none and the handler token is used.
+   */
+  getTokens(project) {
+    if (!project.service_auth) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.tokens.getTokens(project, (err, tokens) => {
+        return err ? reject(err) : resolve(tokens);
       });
-      const currentTokens = JSON.parse(gitlabRequest.body);
-      this.logger.info({tokens: currentTokens}, 'Current OAuth tokens For Project'); 
-      
-      project.service_auth.token = currentTokens.oauthToken;
-      project.service_auth.refreshToken = currentTokens.refreshToken;
+    });
+  }
 
-      const tokens = new Tokens(this.config, this.logger, this.apiLogger);
-      const newTokens = tokens.checkTokens(project);
+  /**
+   * Makes GitLab API calls for a project.
+   *
+   * When GitLab rejects the OAuth token of the project, the tokens are
+   * replaced and the calls are made again, once.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {(gitlab: import('gitlab')) => Promise<any>} calls - Makes the
+   *   calls with a client from {@link GitLab#getApi}.
+   * @return {Promise<any>} - A promise for the result of the calls.
+   */
+  withApi(project, calls) {
+    return this.getTokens(project).then((tokens) => {
+      return calls(this.getApi(project, tokens)).catch((err) => {
+        if (!tokens || !err.response || err.response.status !== 401) {
+          throw err;
+        }
 
-      options.oauthToken = newTokens.token;
-      options.refreshToken = newTokens.refreshToken;
+        this.logger.info({ project: project.id }, 'GitLab rejected the OAuth token, replacing it');
 
-      return new Gitlab(options);
+        return new Promise((resolve, reject) => {
+          this.tokens.replaceRejectedTokens(project, tokens.token, (error, fresh) => {
+            return error ? reject(error) : resolve(fresh);
+          });
+        }).then((fresh) => calls(this.getApi(project, fresh)));
+      });
+    });
+  }
 
-    } else {
-      options.token = this.config.gitLabToken;
-    }
-    return new Gitlab(options);
+  /**
+   * Sends a request to a GitLab API endpoint the client has no method for.
+   *
+   * @param {import('gitlab')} gitlab - A client from {@link GitLab#getApi}.
+   * @param {string} method - The HTTP method (get, post, put or delete).
+   * @param {string} endpoint - The endpoint, relative to /api/v4/.
+   * @param {Object.<string, any>} [options] - The `query` and `body` of the
+   *   request.
+   * @return {Promise<any>} - A promise for the response body.
+   */
+  request(gitlab, method, endpoint, options) {
+    const service = gitlab.Projects;
+
+    return service.requester[method](service, endpoint, options || {})
+      .then((response) => response.body);
   }
 
   /**
@@ -74,9 +203,15 @@ class GitLab {
    * @param {(err: Error, [res]) => void} cb - The callback function.
    */
   getCommit(project, sha, cb) {
-    const gitlab = this.getApi(project);
+    const cached = this.cache.get(project.provider_id, `commit:${sha}`);
 
-    gitlab.Commits.show(project.provider_id, sha)
+    if (cached) {
+      return cb(null, cached.value);
+    }
+
+    this.withApi(project, (gitlab) =>
+      gitlab.Commits.show(project.provider_id, sha)
+    )
       .then((res) => {
         const commit = {
           sha: res.id,
@@ -84,6 +219,8 @@ class GitLab {
           message: res.title,
         };
 
+        this.cache.set(project.provider_id, `commit:${sha}`, commit);
+
         cb(null, commit);
       })
       .catch((err) => {
@@ -94,39 +231,257 @@ class GitLab {
   }
 
   /**
-   * Fetches configuration from a .probo.yml file in the gitlab repo.
+   * Fetches configuration from the .probo.yml file or the .probo directory in
+   * the gitlab repo, with its includes resolved.
+   *
+   * Only configs read at a commit sha are cached, as a ref can move.
    *
    * @param {Object.<string, string>} project - The project object.
-   * @param {string} sha - The git commit id to fetch the .probo.yaml from.
+   * @param {string} sha - The git commit id or ref to fetch the .probo.yaml from.
    * @param {(err: Error, [res]) => void} cb - The callback to call upon error/completion.
    */
   fetchProboYamlConfig(project, sha, cb) {
-    this.fetchYamlFile(project, sha, '.probo.yml', (error, yaml) => {
-      if (error) {
-        if (!error.response || error.response.status !== 404) {
-          return cb(error);
-        }
+    if (!isCommitSha(sha)) {
+      return this.loadProboYamlConfig(project, sha, cb);
+    }
+
+    const key = `config:${sha}`;
+    const cached = this.cache.get(project.provider_id, key);
+
+    if (cached) {
+      return cached.value.error ?
+        cb(new Error(cached.value.error)) :
+        cb(null, cached.value.config);
+    }
+
+    this.loadProboYamlConfig(project, sha, (error, config) => {
+      if (!error) {
+        this.cache.set(project.provider_id, key, { config: config });
+      } else if (error.message === NO_CONFIG) {
+        this.cache.set(project.provider_id, key, { error: NO_CONFIG });
       }
 
-      if (!yaml) {
-        return this.fetchYamlFile(
-          project,
-          sha,
-          '.probo.yaml',
-          (error, yaml) => {
+      cb(error, config);
+    });
+  }
+
+  /**
+   * Loads the Probo config of a commit without the cache.
+   *
+   * @param {Object.<string, string>} project - The project object.
+   * @param {string} sha - The git commit id to load the config of.
+   * @param {(err: Error, [res]) => void} cb - The callback to call upon error/completion.
+   */
+  loadProboYamlConfig(project, sha, cb) {
+    this.withApi(project, (gitlab) =>
+      gitlab.Repositories.tree(project.provider_id, { ref: sha })
+    )
+      .then((tree) => {
+        const found = CONFIG_SOURCES.filter((source) =>
+          tree.some((entry) => entry.path === source)
+        );
+
+        if (!found.length) {
+          return cb(new Error(NO_CONFIG));
+        }
+
+        if (found.length > 1) {
+          return cb(
+            new Error(
+              `Found more than one Probo config (${found.join(', ')}), keep only one of them.`
+            )
+          );
+        }
+
+        if (found[0] === CONFIG_DIRECTORY) {
+          return this.fetchConfigDirectory(project, sha, cb);
+        }
+
+        const entry = tree.find((item) => item.path === found[0]);
+
+        this.fetchConfigFile(project, sha, entry, (error, yaml) => {
+          if (error) {
+            return cb(error);
+          }
+          if (!yaml) {
+            return cb(new Error(`${found[0]} is empty.`));
+          }
+
+          this.resolveIncludes(project, sha, found[0], yaml, cb);
+        });
+      })
+      .catch((err) => cb(err));
+  }
+
+  /**
+   * Fetches the files of the .probo directory and merges them into one
+   * config, see mergeConfigFiles() in config_directory.js.
+   *
+   * @param {Object.<string, string>} project - The project object.
+   * @param {string} sha - The git commit id to fetch the files from.
+   * @param {(err: Error, [res]) => void} cb - The callback to call upon error/completion.
+   */
+  fetchConfigDirectory(project, sha, cb) {
+    const options = { ref: sha, path: CONFIG_DIRECTORY, recursive: true };
+
+    this.withApi(project, (gitlab) =>
+      gitlab.Repositories.tree(project.provider_id, options)
+    )
+      .then((tree) => {
+        const blobs = tree.filter((entry) => entry.type === 'blob');
+        const paths = sortConfigFiles(blobs.map((entry) => entry.path));
+
+        if (!paths.length) {
+          return cb(new Error(`No YAML files were found in ${CONFIG_DIRECTORY}/.`));
+        }
+
+        async.mapSeries(
+          paths,
+          (file, done) => {
+            const entry = blobs.find((item) => item.path === file);
+
+            this.fetchConfigFile(project, sha, entry, (error, config) => {
+              done(error, { path: file, config: config });
+            });
+          },
+          (error, files) => {
             if (error) {
               return cb(error);
             }
-            if (yaml) {
-              return cb(null, yaml);
-            } else {
-              return cb(new Error('No .probo.yml file was found.'));
+
+            let config;
+
+            try {
+              config = mergeConfigFiles(files);
+            } catch (e) {
+              return cb(e);
             }
+
+            this.resolveIncludes(project, sha, CONFIG_DIRECTORY, config, cb);
           }
         );
+      })
+      .catch((err) => cb(err));
+  }
+
+  /**
+   * Fetches a config file listed in a repository tree.
+   *
+   * Files are cached by their blob id, so a file that did not change is only
+   * parsed once across commits.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {string} sha - The git commit id to fetch the file from.
+   * @param {Object.<string, string>} entry - The tree entry of the file.
+   * @param {(err: Error, [res]) => void} cb - The callback to call upon error/completion.
+   */
+  fetchConfigFile(project, sha, entry, cb) {
+    const key = `blob:${entry.id}`;
+    const cached = entry.id && this.cache.get(project.provider_id, key);
+
+    if (cached) {
+      return cb(null, cached.value);
+    }
+
+    this.fetchYamlFile(project, sha, entry.path, (error, config) => {
+      if (!error && entry.id) {
+        this.cache.set(project.provider_id, key, config);
       }
 
-      return cb(null, yaml);
+      cb(error, config);
+    });
+  }
+
+  /**
+   * Resolves the includes of a config file of a project.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {string} sha - The git commit id the file was fetched from.
+   * @param {string} file - The path of the file.
+   * @param {Object.<string, any>} config - The contents of the file.
+   * @param {(err: Error, [config]) => void} cb - The callback to call with
+   *   the resolved config.
+   */
+  resolveIncludes(project, sha, file, config, cb) {
+    const source = {
+      type: 'local',
+      repo: project.provider_id,
+      ref: sha,
+      file: file,
+    };
+
+    resolveIncludes(
+      config,
+      source,
+      (include, done) => this.fetchInclude(project, include, done),
+      this.config.includes,
+      cb
+    );
+  }
+
+  /**
+   * Checks whether a project may include files of a GitLab project.
+   *
+   * Projects without an OAuth token of their own are read with the handler's
+   * token, which can read projects their owners cannot. They may only include
+   * files of the projects listed in `includes.allowedProjects`.
+   *
+   * @param {Object.<string, any>} project - The project whose config includes
+   *   the file.
+   * @param {number|string} repo - The id or path of the GitLab project of the
+   *   file.
+   * @return {boolean} - Whether the file may be included.
+   */
+  canIncludeFrom(project, repo) {
+    if (String(repo) === String(project.provider_id) || repo === project.slug) {
+      return true;
+    }
+
+    if (project.service_auth) {
+      return true;
+    }
+
+    return matchesAny(String(repo), (this.config.includes || {}).allowedProjects);
+  }
+
+  /**
+   * Loads an included config file.
+   *
+   * @param {Object.<string, any>} project - The project whose config includes
+   *   the file. Files of other projects are fetched with its access, see
+   *   canIncludeFrom().
+   * @param {Object.<string, string>} include - The source of the file, see
+   *   parseIncludes() in includes.js.
+   * @param {(err: Error, [config]) => void} cb - The callback to call with
+   *   the contents of the file.
+   */
+  fetchInclude(project, include, cb) {
+    if (include.type === 'template') {
+      const templates = (this.config.includes || {}).templatesPath || TEMPLATES_PATH;
+
+      return fs.readFile(path.join(templates, `${include.name}.yml`), 'utf8', (err, content) => {
+        if (err) {
+          return cb(err.code === 'ENOENT' ? new Error('No such template') : err);
+        }
+
+        try {
+          cb(null, loadYaml(content, `template ${include.name}`));
+        } catch (e) {
+          cb(new Error(`Failed to parse template ${include.name}: ${e.message}`));
+        }
+      });
+    }
+
+    if (!this.canIncludeFrom(project, include.repo)) {
+      return cb(new Error(`Files of ${include.repo} cannot be included by this project`));
+    }
+
+    this.fetchRepositoryYamlFile(project, include.repo, include.ref, include.file, (err, config) => {
+      if (err && err.response && err.response.status === 404) {
+        return cb(new Error('File not found'));
+      }
+
+      cb(err, config);
     });
   }
 
@@ -139,16 +494,33 @@ class GitLab {
    * @param {(err: Error, [res]) => void} cb - The callback to call upon error/completion.
    */
   fetchYamlFile(project, sha, path, cb) {
-    const gitlab = this.getApi(project);
+    this.fetchRepositoryYamlFile(project, project.provider_id, sha, path, cb);
+  }
 
-    gitlab.RepositoryFiles.show(project.provider_id, path, sha)
+  /**
+   * Fetches a YAML file from any GitLab repo the project has access to.
+   *
+   * @param {Object.<string, any>} project - The project whose access is used.
+   * @param {number|string} repo - The id or path of the GitLab project to
+   *   fetch the file from.
+   * @param {string} ref - The git ref to fetch the file at.
+   * @param {string} path - The path of the file to fetch.
+   * @param {(err: Error, [res]) => void} cb - The callback to call upon error/completion.
+   */
+  fetchRepositoryYamlFile(project, repo, ref, path, cb) {
+    this.withApi(project, (gitlab) =>
+      gitlab.RepositoryFiles.show(repo, path, ref)
+    )
       .then((file) => {
         let content;
         let settings;
         if (file) {
           try {
             content = new Buffer.from(file.content, 'base64');
-            settings = yaml.safeLoad(content.toString('utf8'));
+            settings = loadYaml(
+              content.toString('utf8'),
+              String(repo) === String(project.provider_id) ? path : `${repo}:${path}`
+            );
           } catch (e) {
             return cb(
               new Error(`Failed to parse ${file.file_path}: ${e.message}`)
@@ -164,48 +536,537 @@ class GitLab {
   /**
    * Posts status updates to a GitLab pipeline job.
    *
+   * Failed posts are retried after a backoff when GitLab answers 429 or 5xx,
+   * and rejected OAuth tokens are replaced, see {@link GitLab#withApi}. Statuses
+   * GitLab cannot transition to, e.g. because the status is already set, are
+   * skipped.
+   *
    * @param {Object.<string, any>} project - The project object to post the status for.
    * @param {string} sha - The git commit id that we are posting a status for.
    * @param {string} statusInfo - This should be the status message to post to GitLab. See http://docs.gitlab.com/ce/api/commits.html#post-the-build-status-to-a-commit
    * @param {(err: Error, [res]) => void} cb - The callback to call when the status has been updated.
    */
   postStatus(project, sha, statusInfo, cb) {
-    const gitlab = this.getApi(project);
+    const options = this.config.statusRetry || {};
+    const maxAttempts = options.maxAttempts || 5;
+    const retryDelay = options.retryDelay || 1000;
+    const maxRetryDelay = options.maxRetryDelay || 60000;
 
     statusInfo.user = project.owner;
     statusInfo.repo = project.repo;
     statusInfo.sha = sha;
 
-    gitlab.Projects.statuses(
-      project.provider_id,
-      sha,
-      statusInfo.state,
-      statusInfo
+    let attempts = 0;
+
+    const post = () => {
+      attempts++;
+
+      this.withApi(project, (gitlab) =>
+        gitlab.Projects.statuses(
+          project.provider_id,
+          sha,
+          statusInfo.state,
+          statusInfo
+        )
+      )
+        .then((result) => {
+          cb(null, result);
+        })
+        .catch((err) => {
+          const status = err.response ? err.response.status : 0;
+
+          // This happens if we update the state with the same state or to a
+          // state that can no longer be reached, and isn't a problem.
+          if (status === 400 && /Cannot transition status/.test(err.description)) {
+            this.logger.debug(
+              { statusInfo: statusInfo, description: err.description },
+              'Skipped status GitLab cannot transition to'
+            );
+            return cb(null);
+          }
+
+          if ((status === 429 || status >= 500) && attempts < maxAttempts) {
+            const delay = retryAfter(err.response) ||
+              Math.min(retryDelay * Math.pow(2, attempts - 1), maxRetryDelay);
+
+            this.logger.warn(
+              { status: status, attempts: attempts, delay: delay, statusInfo: statusInfo },
+              'Retrying status post to GitLab'
+            );
+            return setTimeout(post, delay);
+          }
+
+          this.logger.error(
+            { err: err, status: status, attempts: attempts, statusInfo: statusInfo },
+            'Error when posting to status to GitLab'
+          );
+
+          return cb(err);
+        });
+    };
+
+    post();
+  }
+
+  /**
+   * Gets the access level of a user on a project, including the access
+   * inherited from groups.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {number} userId - The GitLab user id.
+   * @param {(err: Error, [accessLevel]: number) => void} cb - The callback
+   *   function.
+   */
+  getMemberAccessLevel(project, userId, cb) {
+    this.withApi(project, (gitlab) =>
+      gitlab.ProjectMembers.show(project.provider_id, userId, {
+        includeInherited: true,
+      })
     )
-      .then(function (result) {
-        cb(null, result);
+      .then((member) => {
+        cb(null, member.access_level);
       })
       .catch((err) => {
-        // This happens if we update the state with the same state and isn't a problem.
-        if (
-          err.description.includes(
-            'Cannot transition status via :run from :running'
-          ) ||
-          err.description.includes(
-            'Cannot transition status via :enqueue from :running'
-          )
-        ) {
-          return cb();
+        // Users that are not members of the project have no access at all.
+        if (err.response && err.response.status === 404) {
+          return cb(null, 0);
         }
 
-        // If we get here, we likely have an expired oauthToken. We need to trigger
-        // a refresh, get the new token and tell the coordinator to update things.
-        this.logger.error(
-          { err: err, statusInfo: statusInfo },
-          'Error when posting to status to GitLab'
-        );
+        this.logger.error({ err: err }, 'Failed to get project member.');
+
+        cb(err);
+      });
+  }
+
+  /**
+   * Gets the commit statuses posted for a commit.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {string} sha - The git commit id to get the statuses for.
+   * @param {(err: Error, [statuses]) => void} cb - The callback function.
+   */
+  getCommitStatuses(project, sha, cb) {
+    this.withApi(project, (gitlab) =>
+      gitlab.Commits.status(project.provider_id, sha)
+    )
+      .then((statuses) => {
+        cb(null, statuses);
+      })
+      .catch((err) => {
+        this.logger.error({ err: err }, 'Failed to get commit statuses.');
+
+        cb(err);
+      });
+  }
+
+  /**
+   * Posts a comment on a merge request.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {number} iid - The merge request number.
+   * @param {string} body - The Markdown body of the comment.
+   * @param {(err: Error, [note]) => void} cb - The callback function.
+   */
+  createMergeRequestNote(project, iid, body, cb) {
+    this.withApi(project, (gitlab) =>
+      gitlab.MergeRequestNotes.create(project.provider_id, iid, body)
+    )
+      .then((note) => {
+        cb(null, note);
+      })
+      .catch((err) => {
+        this.logger.error({ err: err }, 'Failed to comment on merge request.');
+
+        cb(err);
+      });
+  }
+
+  /**
+   * Posts a comment on a commit.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {string} sha - The sha of the commit.
+   * @param {string} body - The Markdown body of the comment.
+   * @param {(err: Error, [comment]) => void} cb - The callback function.
+   */
+  createCommitComment(project, sha, body, cb) {
+    this.withApi(project, (gitlab) =>
+      gitlab.Commits.createComment(project.provider_id, sha, body)
+    )
+      .then((comment) => {
+        cb(null, comment);
+      })
+      .catch((err) => {
+        this.logger.error({ err: err }, 'Failed to comment on commit.');
+
+        cb(err);
+      });
+  }
+
+  /**
+   * Gets the GitLab user the handler acts as for a project, which depends on
+   * the token the project is accessed with.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {(err: Error, [user]) => void} cb - The callback function.
+   */
+  getCurrentUser(project, cb) {
+    const cached = this.cache.get(project.provider_id, 'user:current');
+
+    if (cached) {
+      return cb(null, cached.value);
+    }
+
+    this.withApi(project, (gitlab) => gitlab.Users.current())
+      .then((user) => {
+        this.cache.set(project.provider_id, 'user:current', user);
+
+        cb(null, user);
+      })
+      .catch((err) => {
+        this.logger.error({ err: err }, 'Failed to get the current user.');
+
+        cb(err);
+      });
+  }
+
+  /**
+   * Gets the comments on a merge request.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {number} iid - The merge request number.
+   * @param {(err: Error, [notes]: Object[]) => void} cb - The callback function.
+   */
+  getMergeRequestNotes(project, iid, cb) {
+    this.withApi(project, (gitlab) =>
+      gitlab.MergeRequestNotes.all(project.provider_id, iid)
+    )
+      .then((notes) => {
+        cb(null, notes);
+      })
+      .catch((err) => {
+        this.logger.error({ err: err }, 'Failed to get merge request comments.');
+
+        cb(err);
+      });
+  }
 
-        return cb(err);
+  /**
+   * Replaces the body of a comment on a merge request.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {number} iid - The merge request number.
+   * @param {number} noteId - The id of the comment.
+   * @param {string} body - The new Markdown body of the comment.
+   * @param {(err: Error, [note]) => void} cb - The callback function.
+   */
+  editMergeRequestNote(project, iid, noteId, body, cb) {
+    this.withApi(project, (gitlab) =>
+      gitlab.MergeRequestNotes.edit(project.provider_id, iid, noteId, body)
+    )
+      .then((note) => {
+        cb(null, note);
+      })
+      .catch((err) => {
+        this.logger.error({ err: err }, 'Failed to edit merge request comment.');
+
+        cb(err);
+      });
+  }
+
+  /**
+   * Adds labels to a merge request.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {number} iid - The merge request number.
+   * @param {string[]} labels - The titles of the labels to add.
+   * @param {(err: Error, [mergeRequest]) => void} cb - The callback function.
+   */
+  addMergeRequestLabels(project, iid, labels, cb) {
+    this.withApi(project, (gitlab) =>
+      gitlab.MergeRequests.edit(project.provider_id, iid, {
+        add_labels: labels.join(','),
+      })
+    )
+      .then((mergeRequest) => {
+        cb(null, mergeRequest);
+      })
+      .catch((err) => {
+        this.logger.error({ err: err }, 'Failed to label merge request.');
+
+        cb(err);
+      });
+  }
+
+  /**
+   * Gets the sha of the merged result of a merge request.
+   *
+   * GitLab merges the source branch into the target branch under the
+   * refs/merge-requests/:iid/merge ref when asked for it.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {number} iid - The merge request number.
+   * @param {(err: Error, [sha]: string) => void} cb - The callback function.
+   */
+  getMergeRefSha(project, iid, cb) {
+    const projectId = encodeURIComponent(project.provider_id);
+
+    this.withApi(project, (gitlab) =>
+      this.request(
+        gitlab,
+        'get',
+        `projects/${projectId}/merge_requests/${iid}/merge_ref`
+      )
+    )
+      .then((result) => {
+        cb(null, result.commit_id);
+      })
+      .catch((err) => {
+        this.logger.error({ err: err }, 'Failed to get merge ref.');
+
+        cb(err);
+      });
+  }
+
+  /**
+   * Lists the external status checks of a project.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {(err: Error, [checks]: Array.<Object>) => void} cb - The callback
+   *   function.
+   */
+  getExternalStatusChecks(project, cb) {
+    const projectId = encodeURIComponent(project.provider_id);
+
+    this.withApi(project, (gitlab) =>
+      this.request(gitlab, 'get', `projects/${projectId}/external_status_checks`)
+    )
+      .then((checks) => {
+        cb(null, checks);
+      })
+      .catch((err) => {
+        this.logger.error({ err: err }, 'Failed to get external status checks.');
+
+        cb(err);
+      });
+  }
+
+  /**
+   * Answers an external status check of a merge request.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {number} iid - The merge request number.
+   * @param {Object.<string, any>} check - The answer.
+   * @param {number} check.id - The id of the external status check.
+   * @param {string} check.sha - The sha the answer is for.
+   * @param {string} check.status - Either `passed` or `failed`.
+   * @param {(err: Error, [res]) => void} cb - The callback function.
+   */
+  respondToStatusCheck(project, iid, check, cb) {
+    const projectId = encodeURIComponent(project.provider_id);
+
+    this.withApi(project, (gitlab) =>
+      this.request(
+        gitlab,
+        'post',
+        `projects/${projectId}/merge_requests/${iid}/status_check_responses`,
+        {
+          body: {
+            sha: check.sha,
+            external_status_check_id: check.id,
+            status: check.status,
+          },
+        }
+      )
+    )
+      .then((res) => {
+        cb(null, res);
+      })
+      .catch((err) => {
+        this.logger.error({ err: err }, 'Failed to respond to status check.');
+
+        cb(err);
+      });
+  }
+
+  /**
+   * Points a GitLab environment at a Probo environment and records a
+   * deployment to it, so GitLab shows its review app links.
+   *
+   * The GitLab environment is created if it does not exist yet.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {Object.<string, any>} environment - The environment.
+   * @param {string} environment.name - The name of the GitLab environment.
+   * @param {string} environment.url - The URL of the Probo environment.
+   * @param {string} environment.sha - The sha that was built.
+   * @param {string} environment.ref - The branch that was built.
+   * @param {(err: Error, [deployment]) => void} cb - The callback function.
+   */
+  deployEnvironment(project, environment, cb) {
+    const projectId = encodeURIComponent(project.provider_id);
+    const endpoint = `projects/${projectId}/environments`;
+
+    this.withApi(project, (gitlab) =>
+      this.findEnvironment(gitlab, projectId, environment.name)
+        .then((existing) => {
+          if (existing) {
+            return this.request(gitlab, 'put', `${endpoint}/${existing.id}`, {
+              body: { external_url: environment.url },
+            });
+          }
+
+          return this.request(gitlab, 'post', endpoint, {
+            body: { name: environment.name, external_url: environment.url },
+          });
+        })
+        .then(() => this.request(gitlab, 'post', `projects/${projectId}/deployments`, {
+          body: {
+            environment: environment.name,
+            sha: environment.sha,
+            ref: environment.ref,
+            tag: false,
+            status: 'success',
+          },
+        }))
+    )
+      .then((deployment) => {
+        cb(null, deployment);
+      })
+      .catch((err) => {
+        this.logger.error({ err: err }, 'Failed to deploy environment.');
+
+        cb(err);
+      });
+  }
+
+  /**
+   * Stops a GitLab environment, if it exists.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {string} name - The name of the GitLab environment.
+   * @param {(err: Error, [environment]) => void} cb - The callback function.
+   */
+  stopEnvironment(project, name, cb) {
+    const projectId = encodeURIComponent(project.provider_id);
+
+    this.withApi(project, (gitlab) =>
+      this.findEnvironment(gitlab, projectId, name)
+        .then((existing) => {
+          if (!existing || existing.state === 'stopped') {
+            return existing;
+          }
+
+          return this.request(
+            gitlab,
+            'post',
+            `projects/${projectId}/environments/${existing.id}/stop`
+          );
+        })
+    )
+      .then((environment) => {
+        cb(null, environment);
+      })
+      .catch((err) => {
+        this.logger.error({ err: err }, 'Failed to stop environment.');
+
+        cb(err);
+      });
+  }
+
+  /**
+   * Finds a GitLab environment by its name.
+   *
+   * @param {import('gitlab')} gitlab - A client from {@link GitLab#getApi}.
+   * @param {string} projectId - The encoded GitLab project id.
+   * @param {string} name - The name of the environment.
+   * @return {Promise<?Object>} - A promise for the environment, or null if
+   *   there is none.
+   */
+  findEnvironment(gitlab, projectId, name) {
+    return this.request(gitlab, 'get', `projects/${projectId}/environments`, {
+      query: { name: name },
+    }).then((environments) => {
+      return environments.find((environment) => environment.name === name) || null;
+    });
+  }
+
+  /**
+   * Lists the files changed between two commits.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {string} from - The sha to compare from.
+   * @param {string} to - The sha to compare to.
+   * @param {(err: Error, [paths]: string[]) => void} cb - The callback function.
+   */
+  getChangedFiles(project, from, to, cb) {
+    const key = `compare:${from}...${to}`;
+    const cached = this.cache.get(project.provider_id, key);
+
+    if (cached) {
+      return cb(null, cached.value);
+    }
+
+    this.withApi(project, (gitlab) =>
+      gitlab.Repositories.compare(project.provider_id, from, to)
+    )
+      .then((result) => {
+        const paths = changedPaths(result.diffs);
+
+        this.cache.set(project.provider_id, key, paths);
+
+        cb(null, paths);
+      })
+      .catch((err) => {
+        this.logger.error({ err: err }, 'Failed to compare commits.');
+
+        cb(err);
+      });
+  }
+
+  /**
+   * Lists the files a merge request changes.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {number} iid - The merge request number.
+   * @param {(err: Error, [paths]: string[]) => void} cb - The callback function.
+   */
+  getMergeRequestChangedFiles(project, iid, cb) {
+    this.withApi(project, (gitlab) =>
+      gitlab.MergeRequests.changes(project.provider_id, iid)
+    )
+      .then((result) => {
+        cb(null, changedPaths(result.changes));
+      })
+      .catch((err) => {
+        this.logger.error({ err: err }, 'Failed to get merge request changes.');
+
+        cb(err);
+      });
+  }
+
+  /**
+   * Gets the open merge requests targeting a branch.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {string} branch - The target branch name.
+   * @param {(err: Error, [mergeRequests]) => void} cb - The callback function.
+   */
+  getOpenMergeRequests(project, branch, cb) {
+    this.withApi(project, (gitlab) =>
+      gitlab.MergeRequests.all({
+        projectId: project.provider_id,
+        state: 'opened',
+        target_branch: branch,
+      })
+    )
+      .then((mergeRequests) => {
+        cb(null, mergeRequests);
+      })
+      .catch((err) => {
+        this.logger.error({ err: err }, 'Failed to get merge requests.');
+
+        cb(err);
       });
   }
 
@@ -228,9 +1089,9 @@ class GitLab {
       },
     };
 
-    const gitlab = this.getApi(project);
-
-    return gitlab.MergeRequests.show(query.projectId, query.mergeRequestId)
+    return this.withApi(project, (gitlab) =>
+      gitlab.MergeRequests.show(query.projectId, query.mergeRequestId)
+    )
       .then((result) => {
         let mergeRequest = {
           id: result.id,
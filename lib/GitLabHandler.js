@@ -2,21 +2,286 @@
 
 const async = require('async');
 const bunyan = require('bunyan');
-const createWebhookHandler = require('gitlab-webhook-handler');
+const crypto = require('crypto');
 const requestLogger = require('probo-request-logger');
 const restify = require('restify');
+const url = require('url');
 
 const API = require('./api');
 const GitLab = require('./GitLab');
-const Tokens = require('./tokens');
+const {createDeliveryStore, deliveryKey} = require('./deliveries');
+const FailedBuildStore = require('./failed_builds');
+const StatusCheckStore = require('./status_checks');
+const {matchesAny, matchesAnyPath} = require('./patterns');
+const {applyOverrides} = require('./overrides');
+const {
+  SCHEMA_VERSION,
+  validateConfig,
+  findUnknownKeys,
+  formatError,
+} = require('./config_schema');
+const WorkQueue = require('./queue');
+const StatusQueue = require('./status_queue');
+const {parseSummary, updateSummary, renderSummary} = require('./summary');
 
 /**
- * Create a queue that only processes one task at a time.
- * A task is simply a function that takes a callback when it's done
+ * The handler method for each webhook event type. Other events are ignored.
  */
-let statusUpdateQueue = async.queue(function worker(fn, cb) {
-  fn(cb);
-}, 1);
+const EVENT_HANDLERS = {
+  merge_request: 'mergeRequestHandler',
+  push: 'pushHandler',
+  tag_push: 'tagPushHandler',
+  note: 'noteHandler',
+};
+
+/**
+ * The GitLab commit status state for each Probo build state. Extended or
+ * overridden by the `statusStates` setting.
+ */
+const STATUS_STATES = {
+  pending: 'pending',
+  queued: 'pending',
+  manual: 'pending',
+  running: 'running',
+  success: 'success',
+  skipped: 'success',
+  error: 'failed',
+  failure: 'failed',
+  failed: 'failed',
+  canceled: 'canceled',
+  cancelled: 'canceled',
+};
+
+/**
+ * Optional commit status fields passed on to GitLab as they are.
+ */
+const STATUS_FIELDS = ['pipeline_id', 'ref', 'name', 'coverage'];
+
+/**
+ * The answer to an external status check for each final state of the
+ * environment status of a merge request.
+ */
+const STATUS_CHECK_RESULTS = {
+  success: 'passed',
+  failed: 'failed',
+  canceled: 'failed',
+};
+
+/**
+ * The sha GitLab sends for the missing side of a branch creation or deletion.
+ */
+const ZERO_SHA = '0000000000000000000000000000000000000000';
+
+/**
+ * The merge request actions that may need a new build.
+ */
+const BUILD_ACTIONS = ['open', 'reopen', 'update'];
+
+/**
+ * Commit message marker that builds a push to any branch.
+ */
+const BUILD_MARKER = '[build]';
+
+/**
+ * Commit message marker that suppresses the build of a push or merge request.
+ */
+const SKIP_MARKER = '[skip probo]';
+
+/**
+ * The prefix of the merge request labels that control Probo builds.
+ */
+const LABEL_PREFIX = 'probo:';
+
+/**
+ * Merge request label that suppresses builds.
+ */
+const SKIP_LABEL = 'probo:skip';
+
+/**
+ * Merge request label that opts in to builds when `opt_in` is set in the
+ * .probo.yml file.
+ */
+const BUILD_LABEL = 'probo:build';
+
+/**
+ * The labels that control whether to build rather than how.
+ */
+const RESERVED_LABELS = [SKIP_LABEL, BUILD_LABEL];
+
+/**
+ * The commands reviewers can run with a `/probo <command>` comment.
+ */
+const COMMANDS = ['rebuild', 'status', 'approve'];
+
+/**
+ * The minimum GitLab access level needed to run a command: Developer, or
+ * Maintainer to approve building a merge request from a fork.
+ */
+const COMMAND_ACCESS_LEVELS = {
+  rebuild: 30,
+  status: 30,
+  approve: 40,
+};
+
+/**
+ * The names of the GitLab access levels, for messages.
+ */
+const ACCESS_LEVEL_NAMES = {
+  30: 'Developer',
+  40: 'Maintainer',
+};
+
+/**
+ * Finds a `/probo <command>` line in a comment.
+ *
+ * @param {string} note - The body of the comment.
+ * @return {?string} - The lowercased command, an empty string if `/probo` was
+ *   used without a command or null if the comment has no Probo command.
+ */
+function parseCommand(note) {
+  const match = /^\/probo(?:[ \t]+(\S+))?[ \t]*$/m.exec(note || '');
+
+  return match ? (match[1] || '').toLowerCase() : null;
+}
+
+/**
+ * Checks whether a merge request update event moved the head sha.
+ *
+ * GitLab only sends `oldrev` when new commits were pushed to the merge
+ * request.
+ *
+ * @param {Object.<string, any>} attributes - The merge request attributes.
+ * @return {boolean} - Whether the head sha changed.
+ */
+function headMoved(attributes) {
+  return Boolean(attributes.oldrev) &&
+    attributes.oldrev !== attributes.last_commit.id;
+}
+
+/**
+ * Gets the titles of a list of labels.
+ *
+ * Webhooks send label objects while the API sends label titles.
+ *
+ * @param {Array.<(Object.<string, any>|string)>} [labels] - The labels.
+ * @return {string[]} - The label titles.
+ */
+function labelTitles(labels) {
+  return (labels || []).map((label) =>
+    typeof label === 'string' ? label : label.title
+  );
+}
+
+/**
+ * Gets the labels a merge request update event added.
+ *
+ * @param {Object.<string, any>} [changes] - The changes of the update event.
+ * @return {string[]} - The titles of the added labels.
+ */
+function addedLabels(changes) {
+  if (!changes || !changes.labels) {
+    return [];
+  }
+
+  const previous = labelTitles(changes.labels.previous);
+
+  return labelTitles(changes.labels.current).filter(
+    (title) => previous.indexOf(title) === -1
+  );
+}
+
+/**
+ * Reads the merged result options of a .probo.yml file.
+ *
+ * `merged_result` is either a boolean or an object with `enabled` and
+ * `rebuild_on_target_change` keys.
+ *
+ * @param {Object.<string, any>} config - The probo YAML config file.
+ * @return {{enabled: boolean, rebuildOnTargetChange: boolean}} - The options.
+ */
+function mergedResultOptions(config) {
+  let options = config.merged_result || false;
+  if (typeof options !== 'object') {
+    options = {enabled: Boolean(options)};
+  }
+
+  return {
+    enabled: Boolean(options.enabled),
+    rebuildOnTargetChange: Boolean(
+      options.enabled && options.rebuild_on_target_change
+    ),
+  };
+}
+
+/**
+ * Names the GitLab environment of a merge request or branch.
+ *
+ * GitLab only allows some characters in environment names, so others in
+ * branch names are replaced.
+ *
+ * @param {Object.<string, any>} target - What was built.
+ * @param {string|number} [target.pullRequest] - The merge request number.
+ * @param {string} [target.branch] - The branch name.
+ * @return {?string} - The name, or null for other builds.
+ */
+function environmentName(target) {
+  if (target.pullRequest) {
+    return `review/mr-${target.pullRequest}`;
+  }
+
+  if (target.branch) {
+    return `review/${target.branch.replace(/[^\w./-]/g, '-')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a commit message contains a marker such as [build].
+ *
+ * @param {string} [message] - The commit message.
+ * @param {string} marker - The marker to look for.
+ * @return {boolean} - Whether the marker was found, ignoring case.
+ */
+function hasMarker(message, marker) {
+  return (message || '').toLowerCase().indexOf(marker) !== -1;
+}
+
+/**
+ * Gets the error of a failed project lookup. A webhook for a repository that
+ * is not a Probo project fails the same way every time, so its error is marked
+ * permanent and the webhook is not retried.
+ *
+ * @param {Error} [error] - The error of the lookup, if it failed.
+ * @return {Error} - The error to pass on.
+ */
+function projectLookupError(error) {
+  if (error && error.status !== 404) {
+    return error;
+  }
+
+  const notFound = new Error('Project not found');
+  notFound.permanent = true;
+
+  return notFound;
+}
+
+/**
+ * Checks the HMAC signature of a request body in constant time.
+ *
+ * @param {string} secret - The shared secret.
+ * @param {string} [body] - The raw request body.
+ * @param {string} [signature] - The hex signature sent with the request.
+ * @return {boolean} - Whether the signature matches.
+ */
+function isValidSignature(secret, body, signature) {
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(body || '').digest('hex')
+  );
+  const actual = Buffer.from(signature || '');
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
 
 class GitLabHandler {
   constructor(config, logger) {
@@ -54,8 +319,56 @@ class GitLabHandler {
       secret: config.webhookSecret,
     };
 
-    // Sets up the path for the GitLab webhooks.
-    this.handler = this._createWebhookHandler();
+    // Remembers webhook deliveries so retried deliveries are dropped.
+    this.deliveries = createDeliveryStore(config.deliveries);
+
+    // Keeps build submissions the coordinator did not accept for replay.
+    this.failedBuildOptions = config.failedBuilds || {};
+    this.failedBuilds = new FailedBuildStore(
+      this.failedBuildOptions,
+      this.logger
+    );
+
+    // The external status checks waiting for a build, keyed by GitLab project
+    // id and sha.
+    this.statusChecks = new StatusCheckStore(config.statusChecks, this.logger);
+
+    // Runs webhook events in the background with retries.
+    this.queue = new WorkQueue(
+      this.processQueuedEvent.bind(this),
+      config.queue,
+      this.logger
+    );
+
+    // Posts status updates one at a time per project.
+    this.statusQueue = new StatusQueue((update, cb) => {
+      const {build, sha, statusInfo} = update;
+
+      // Only GitLab sees the prefix, so it does not affect anything else that
+      // looks at the context.
+      const prefix = this.getStatusPrefix(build.project);
+      const posted = Object.assign({}, statusInfo, {
+        context: prefix + statusInfo.context,
+      });
+      if (statusInfo.name) {
+        posted.name = prefix + statusInfo.name;
+      }
+
+      this.gitlab.postStatus(build.project, sha, posted, (error, res) => {
+        this.reportStatusOutcome(build, statusInfo, error);
+
+        // Updated in the same queue so updates of a comment or an
+        // environment never race.
+        async.series(
+          [
+            (next) => this.updateSummaryComment(build, sha, statusInfo, () => next()),
+            (next) => this.updateEnvironment(build, sha, statusInfo, () => next()),
+            (next) => this.resolveStatusChecks(build, sha, statusInfo, () => next()),
+          ],
+          () => cb(error, res)
+        );
+      });
+    }, config.statusUpdates);
 
     this.server = restify.createServer({log: this.logger, name: 'Probo GitLab Handler'});
 
@@ -78,6 +391,12 @@ class GitLabHandler {
    * @param {() => void} cb - The callback function
    */
   start(cb) {
+    this.queue.start();
+
+    const replayInterval = (this.failedBuildOptions.replayInterval || 300) * 1000;
+    this.replayTimer = setInterval(() => this.replayFailedBuilds(), replayInterval);
+    this.replayTimer.unref();
+
     this.server.listen(
       { port: this.config.port, host: this.config.hostname || '0.0.0.0' },
       () => {
@@ -95,6 +414,9 @@ class GitLabHandler {
    */
   close(cb) {
     const url = this.server.url;
+    this.queue.stop();
+    clearInterval(this.replayTimer);
+
     this.server.close(() => {
       this.logger.info('Stopped', url);
 
@@ -103,21 +425,158 @@ class GitLabHandler {
   }
 
   /**
-   * Creates a GitLab Webhook Handler.
+   * Accepts a webhook delivery from GitLab.
+   *
+   * The event is queued and GitLab gets a 202 right away, so slow GitLab or
+   * coordinator calls never make the delivery time out.
+   *
+   * @param {import('restify').Request} req - The request.
+   * @param {import('restify').Response} res - The response.
+   * @param {import('restify').Next} next - The next handler in the chain.
+   */
+  webhookController(req, res, next) {
+    const secret = this.webhookOptions.secret;
+    const payload = req.body;
+
+    const reject = (status, message) => {
+      this.logger.error({status: status}, message);
+      res.send(status, {error: message});
+      next();
+    };
+
+    if (secret && req.headers['x-gitlab-token'] !== secret) {
+      return reject(401, 'Invalid X-Gitlab-Token');
+    }
+
+    if (!req.headers['x-gitlab-event']) {
+      return reject(400, 'No X-Gitlab-Event found on request');
+    }
+
+    if (!payload || !payload.repository || !payload.repository.name) {
+      return reject(400, `Received invalid data from ${req.headers.host}`);
+    }
+
+    const event = {
+      event: payload.object_kind,
+      payload: payload,
+      protocol: req.isSecure() ? 'https' : 'http',
+      host: req.headers.host,
+      url: req.url,
+    };
+
+    this.receiveWebhookEvent(
+      event,
+      req.headers['x-gitlab-event-uuid'],
+      (error) => {
+        if (error) {
+          this.logger.error({err: error}, 'Problem queuing webhook event');
+          res.send(500, {error: 'Could not queue the webhook event'});
+          return next();
+        }
+
+        res.send(202, {ok: true});
+        next();
+      }
+    );
+  }
+
+  /**
+   * Queues a webhook event unless it was already received.
    *
-   * @return {import('github-webhook-handler')} - An initialized webhook handler server.
+   * GitLab retries deliveries that time out, so the same event may arrive
+   * more than once. Deliveries are identified by their X-Gitlab-Event-UUID, or
+   * by a hash of the event for older GitLab versions that do not send one.
+   *
+   * @param {Object.<string, any>} event - The webhook event.
+   * @param {string} [deliveryId] - The X-Gitlab-Event-UUID of the delivery.
+   * @param {(err: Error, [res]) => void} [cb] - The callback to call when the
+   *   event was queued, dropped or ignored.
    */
-  _createWebhookHandler() {
-    let handler = createWebhookHandler(this.webhookOptions);
+  receiveWebhookEvent(event, deliveryId, cb) {
+    if (!EVENT_HANDLERS[event.event]) {
+      this.logger.debug({event: event.event}, 'Ignoring webhook event');
+      return cb && cb();
+    }
+
+    const key = deliveryId || deliveryKey(event.payload);
+
+    this.deliveries.add(key, (error, added) => {
+      if (error) {
+        // Failing to record a delivery should not lose the event.
+        this.logger.error(
+          {err: error, delivery: key},
+          'Problem recording webhook delivery'
+        );
+      }
+
+      if (!added) {
+        this.logger.info(
+          {delivery: key, event: event.event},
+          'Duplicate webhook delivery dropped'
+        );
+        return cb && cb();
+      }
 
-    handler.on('error', (error) => {
-      this.logger.error({ err: error }, 'An error occurred.');
+      this.queue.push({event: event, deliveryId: key}, (error) => {
+        if (!error) {
+          return cb && cb();
+        }
+
+        // GitLab retries deliveries that fail, and the retry must not be
+        // dropped as a duplicate of an event that was never queued.
+        this.deliveries.remove(key, (removeError) => {
+          if (removeError) {
+            this.logger.error(
+              {err: removeError, delivery: key},
+              'Problem forgetting webhook delivery'
+            );
+          }
+
+          return cb && cb(error);
+        });
+      });
     });
+  }
+
+  /**
+   * Passes a queued webhook event to the handler for its type.
+   *
+   * Errors are passed on to the queue, which retries the event later.
+   *
+   * @param {Object.<string, any>} job - The queued job.
+   * @param {Object.<string, any>} job.event - The webhook event.
+   * @param {string} job.deliveryId - The key of the delivery.
+   * @param {(err: Error, [res]) => void} cb - The callback to call when the
+   *   event was handled.
+   */
+  processQueuedEvent(job, cb) {
+    this.logger.info(
+      {delivery: job.deliveryId, event: job.event.event},
+      'Processing webhook event'
+    );
+
+    // Retrying cannot help events that fail for good, so they are dropped
+    // instead of piling up in the queue.
+    const done = (error) => {
+      if (error && error.permanent) {
+        this.logger.warn(
+          {err: error, delivery: job.deliveryId, event: job.event.event},
+          'Dropping webhook event that cannot be handled'
+        );
+        return cb(null);
+      }
+
+      cb(error);
+    };
 
-    handler.on('merge_request', this.mergeRequestHandler.bind(this));
-    handler.on('push', this.pushHandler.bind(this));
+    if (!EVENT_HANDLERS[job.event.event]) {
+      const error = new Error(`Unknown webhook event: ${job.event.event}`);
+      error.permanent = true;
 
-    return handler;
+      return done(error);
+    }
+
+    this[EVENT_HANDLERS[job.event.event]](job.event, done);
   }
 
   /**
@@ -151,16 +610,12 @@ class GitLabHandler {
    * paths.
    */
   _setupRoutes() {
-    // For requests to webhook handler path, make the webhook handler take care
-    // of the requests.
-    this.server.post(this.webhookOptions.path, (req, res, next) => {
-      this.handler(req, res, (error) => {
-        res.send(400, 'Error processing hook');
-        this.logger.error({ err: error }, 'Error processing hook');
-
-        next();
-      });
-    });
+    // Webhook deliveries are queued and handled in the background.
+    this.server.post(
+      this.webhookOptions.path,
+      restify.plugins.jsonBodyParser(),
+      this.webhookController.bind(this)
+    );
 
     this.server.post(
       '/builds/:bid/status/:context',
@@ -181,6 +636,56 @@ class GitLabHandler {
       '/pull-request/:owner/:repo/:pullRequestNumber',
       this.getMergeRequest.bind(this)
     );
+
+    // External status checks of merge requests, see statusCheckController().
+    // Unsigned requests could answer checks with the handler token, so the
+    // route needs the shared secret.
+    if (this.config.statusCheckPath && !this.config.statusCheckSecret) {
+      this.logger.warn('No statusCheckSecret set, external status checks are disabled');
+    }
+    else if (this.config.statusCheckPath) {
+      this.server.post(
+        this.config.statusCheckPath,
+        restify.plugins.jsonBodyParser(),
+        this.statusCheckController.bind(this)
+      );
+    }
+
+    // Admin routes for build submissions the coordinator did not accept.
+    const authorizeAdmin = this.authorizeAdmin.bind(this);
+
+    this.server.get(
+      '/admin/failed-builds',
+      authorizeAdmin,
+      this.listFailedBuildsController.bind(this)
+    );
+    this.server.get(
+      '/admin/failed-builds/:id',
+      authorizeAdmin,
+      this.getFailedBuildController.bind(this)
+    );
+    this.server.post(
+      '/admin/failed-builds/:id/replay',
+      authorizeAdmin,
+      this.replayFailedBuildController.bind(this)
+    );
+    this.server.del(
+      '/admin/failed-builds/:id',
+      authorizeAdmin,
+      this.discardFailedBuildController.bind(this)
+    );
+
+    // Admin routes for the cache of configs and commits read from GitLab.
+    this.server.get(
+      '/admin/cache',
+      authorizeAdmin,
+      this.cacheStatsController.bind(this)
+    );
+    this.server.del(
+      '/admin/cache/projects/:projectId',
+      authorizeAdmin,
+      this.invalidateCacheController.bind(this)
+    );
   }
 
   /**
@@ -252,13 +757,22 @@ class GitLabHandler {
         return cb(error);
       }
 
-      const request = {
+      let request = {
         sha: commit.sha,
         commit_url: commit.html_url,
         name: commit.message,
         type: 'hash',
       };
 
+      try {
+        const overridden = this.applyConfigOverrides(request, config);
+        request = overridden.request;
+        config = overridden.config;
+      }
+      catch (e) {
+        return cb(new Error(`Invalid .probo.yml: ${e.message}`));
+      }
+
       this.submitBuild(request, project, config, cb);
     });
   }
@@ -304,19 +818,104 @@ class GitLabHandler {
    */
   mergeRequestHandler(event, cb) {
     const payload = event.payload;
+    const attributes = payload.object_attributes;
 
     this.logger.info(
-      `Gitlab merge request ${payload.object_attributes.id} received`
+      `Gitlab merge request ${attributes.id} received`
+    );
+
+    const request = this.buildMergeRequestRequest(payload);
+
+    // Closing or merging a merge request tears down its environments instead
+    // of waiting for the reaper to find them.
+    if (attributes.action === 'close' || attributes.action === 'merge') {
+      return this.reapMergeRequest(request, attributes.action, (error) => {
+        this.logger.info(
+          {type: request.type, slug: request.slug, err: error},
+          `Merge request ${attributes.action} processed`
+        );
+
+        return cb && cb(error);
+      });
+    }
+
+    if (attributes.state !== 'opened') {
+      this.logger.info(
+        `Gitlab merge request ${attributes.id} ${payload.object_kind} ignored`
+      );
+      return cb && cb();
+    }
+
+    // Adding the label approving a merge request from a fork, which may be
+    // configured without the Probo prefix, or a Probo label such as one
+    // setting a build flag, builds the merge request.
+    const labelTriggered = addedLabels(payload.changes).some(
+      (title) =>
+        title === this.getForkApprovalLabel() ||
+        (title.indexOf(LABEL_PREFIX) === 0 && title !== SKIP_LABEL)
     );
 
-    if (payload.object_attributes.state !== 'opened') {
+    // Updates that did not move the head sha only changed metadata such as
+    // the title, labels or assignees, so there is nothing new to build. The
+    // builds get the new title and description when the head moves again.
+    if (
+      attributes.action === 'update' &&
+      !headMoved(attributes) &&
+      !labelTriggered
+    ) {
+      this.logger.info(
+        {slug: request.slug, changes: Object.keys(payload.changes || {})},
+        'Merge request update did not move the head sha, ignored'
+      );
+      return cb && cb();
+    }
+
+    if (attributes.action && BUILD_ACTIONS.indexOf(attributes.action) === -1) {
       this.logger.info(
-        `Gitlab merge request ${payload.object_attributes.id} ${payload.object_kind} ignored`
+        `Gitlab merge request ${attributes.id} ${attributes.action} ignored`
       );
       return cb && cb();
     }
 
-    let project = event.payload.project;
+    if (attributes.action === 'reopen') {
+      this.logger.info(
+        `Gitlab merge request ${attributes.id} reopened, rebuilding`
+      );
+    }
+
+    // Merge requests from forks run untrusted code, so they are only built
+    // once a maintainer approved them.
+    if (!this.isApprovedForBuild(request)) {
+      return this.holdForkMergeRequest(request, attributes.action, (error) => {
+        this.logger.info(
+          {type: request.type, slug: request.slug, err: error},
+          'Merge request from fork awaiting approval'
+        );
+
+        return cb && cb(error);
+      });
+    }
+
+    this.processWebhookEvent(request, (error, build) => {
+      this.logger.info(
+        {type: request.type, slug: request.slug, err: error},
+        'Merge request processed'
+      );
+
+      return cb && cb(error, build);
+    });
+  }
+
+  /**
+   * Builds the request data for a merge request event payload.
+   *
+   * @param {Object.<string, any>} payload - The merge request event payload.
+   * @return {Object.<string, any>} - The request data.
+   */
+  buildMergeRequestRequest(payload) {
+    let project = payload.project;
+    const attributes = payload.object_attributes;
+    const fork = attributes.source_project_id !== attributes.target_project_id;
 
     let service = 'gitlab';
 
@@ -331,66 +930,345 @@ class GitLabHandler {
       service += `:${baseUrl}`;
     }
 
-    let request = {
+    const request = {
       // Also in event.event.
       type: 'pull_request',
-      name: payload.object_attributes.title,
+      name: attributes.title,
       service: 'gitlab',
       branch: {
-        name: payload.object_attributes.source_branch,
-        html_url: `${payload.project.web_url}/tree/${payload.object_attributes.source_branch}`,
+        name: attributes.source_branch,
+        html_url: `${attributes.source.web_url}/tree/${attributes.source_branch}`,
       },
       pull_request: {
-        number: payload.object_attributes.iid,
-        id: payload.object_attributes.id,
-        name: payload.object_attributes.title,
-        description: payload.object_attributes.description,
-        html_url: `${payload.object_attributes.source.web_url}/merge_requests/${payload.object_attributes.iid}`,
+        number: attributes.iid,
+        id: attributes.id,
+        name: attributes.title,
+        description: attributes.description,
+        html_url: `${payload.project.web_url}/merge_requests/${attributes.iid}`,
+        target_branch: attributes.target_branch,
       },
       slug: payload.project.path_with_namespace,
       owner: payload.project.namespace,
       repo: payload.project.name,
-      repo_id: payload.object_attributes.target_project_id,
-      sha: payload.object_attributes.last_commit.id,
-      commit_url: payload.object_attributes.last_commit.url,
+      repo_id: attributes.target_project_id,
+      sha: attributes.last_commit.id,
+      commit_url: attributes.last_commit.url,
+      message: attributes.last_commit.message,
+      fork: fork,
+      project_url: payload.project.web_url,
+      labels: labelTitles(payload.labels || attributes.labels),
     };
 
-    this.processWebhookEvent(request, (error, build) => {
-      this.logger.info(
-        { type: request.type, slug: request.slug, err: error },
-        'Merge request processed'
-      );
+    // The commits of a fork may not be reachable by sha in the target
+    // project, but GitLab keeps the merge request head under a ref there.
+    if (fork) {
+      request.ref = `refs/merge-requests/${attributes.iid}/head`;
+    }
 
-      return cb && cb(error, build);
-    });
+    return request;
   }
 
   /**
-   * The handler for push events from GitHub webhooks.
+   * Gets the label that approves building merge requests from forks.
    *
-   * @param {Object.<string, any>} event - The push event.
-   * @param {(err: Error, [build]) => void} cb cb - The callback to be called
-   *   after the update is performed.
+   * @return {string} - The label title.
    */
-  pushHandler(event, cb) {
-    this.logger.info({payload: event.payload}, 'GitLab push event received');
-
-    const payload = event.payload;
-    const branch = payload.ref.replace('refs/heads/', '');
-
-    // Make sure the commit length array message is not out of range (negative).
-    const lastMessage = ((payload.commits.length - 1) >= 0) ? payload.commits.length - 1 : 0;
+  getForkApprovalLabel() {
+    return this.config.forkApprovalLabel || 'probo:approved';
+  }
 
-    // This is a catch to ensure we have a value for the request object. Failure to
-    // have this would cause a problem and would crash the handler. Create a message
-    // and log the issue.
-    if (!payload.commits[lastMessage]) {
-      payload.commits[lastMessage].message = 'There was no message provided';
-      this.logger.info({commits: payload.commits}, 'Commit message was empty. Default sent');
-    }
+  /**
+   * Checks whether a merge request may be built: merge requests from forks
+   * need the approval label.
+   *
+   * @param {Object.<string, any>} request - The merge request data.
+   * @return {boolean} - Whether the merge request may be built.
+   */
+  isApprovedForBuild(request) {
+    return (
+      !request.fork ||
+      (request.labels || []).indexOf(this.getForkApprovalLabel()) !== -1
+    );
+  }
 
-    const request = {
-      type: 'branch',
+  /**
+   * Holds a merge request from a fork until a maintainer approves it.
+   *
+   * When the merge request is opened, a comment explains how to approve it.
+   *
+   * @param {Object.<string, any>} request - The merge request data.
+   * @param {string} [action] - The merge request action.
+   * @param {(err: Error, [res]) => void} cb - The callback to call when
+   *   finished.
+   */
+  holdForkMergeRequest(request, action, cb) {
+    if (action !== 'open') {
+      return cb(null);
+    }
+
+    this.api.findProjectByRepo(request, (error, project) => {
+      if (error || !project) {
+        this.logger.error(
+          {error},
+          `Project for GitLab project ${request.slug} not found`
+        );
+        return cb(projectLookupError(error));
+      }
+
+      const body =
+        'This merge request comes from a fork, so Probo will not build it ' +
+        'until a maintainer comments `/probo approve` or adds the ' +
+        `\`${this.getForkApprovalLabel()}\` label.`;
+
+      this.gitlab.createMergeRequestNote(
+        project,
+        request.pull_request.number,
+        body,
+        cb
+      );
+    });
+  }
+
+  /**
+   * Marks the environment of a closed or merged merge request as going away.
+   *
+   * The coordinator has no API to reap builds, so the reaper reaps them once
+   * it finds the merge request closed. The commit status of the last commit
+   * says so, and the GitLab environment is stopped right away.
+   *
+   * @param {Object.<string, any>} request - The merge request data.
+   * @param {string} action - The merge request action (close or merge).
+   * @param {(err: Error, [status]) => void} cb - The callback to call when
+   *   finished.
+   */
+  reapMergeRequest(request, action, cb) {
+    this.api.findProjectByRepo(request, (error, project) => {
+      if (error || !project) {
+        this.logger.error(
+          {error},
+          `Project for GitLab project ${request.slug} not found`
+        );
+        return cb(projectLookupError(error));
+      }
+
+      const reason = action === 'merge' ? 'merged' : 'closed';
+      const build = {
+        commit: {ref: request.sha},
+        project: project,
+      };
+      const update = {
+        state: 'success',
+        description: `Merge request was ${reason}, environment will be reaped`,
+        context: 'ProboCI/env',
+      };
+      const target = {pullRequest: request.pull_request.number};
+
+      this.stopEnvironment(project, target, () => {
+        this.buildStatusUpdateHandler(update, build, cb);
+      });
+    });
+  }
+
+  /**
+   * The handler for comment events from GitLab webhooks.
+   *
+   * Runs the `/probo <command>` commands found in merge request comments and
+   * replies to acknowledge or reject them.
+   *
+   * @param {Object.<string, any>} event - The note event.
+   * @param {(err: Error, [res]) => void} cb - The callback to be called after
+   *   the command is run.
+   */
+  noteHandler(event, cb) {
+    const payload = event.payload;
+    const attributes = payload.object_attributes;
+
+    if (attributes.noteable_type !== 'MergeRequest' || !payload.merge_request) {
+      return cb && cb();
+    }
+
+    const command = parseCommand(attributes.note);
+    if (command === null) {
+      return cb && cb();
+    }
+
+    this.logger.info(
+      {
+        command: command,
+        author: payload.user && payload.user.username,
+        merge_request: payload.merge_request.iid,
+      },
+      'GitLab merge request command received'
+    );
+
+    const request = this.buildMergeRequestRequest({
+      project: payload.project,
+      object_attributes: payload.merge_request,
+    });
+
+    this.api.findProjectByRepo(request, (error, project) => {
+      if (error || !project) {
+        this.logger.error(
+          {error},
+          `Project for GitLab project ${request.slug} not found`
+        );
+        return cb && cb(projectLookupError(error));
+      }
+
+      const authorId = attributes.author_id;
+
+      this.runCommand(command, authorId, project, request, (error, result) => {
+        this.logger.info(
+          {command: command, slug: request.slug, err: error},
+          'Merge request command processed'
+        );
+
+        return cb && cb(error, result);
+      });
+    });
+  }
+
+  /**
+   * Runs a merge request command once the author is known to be allowed to.
+   *
+   * @param {string} command - The command to run.
+   * @param {number} authorId - The GitLab id of the comment author.
+   * @param {Object.<string, any>} project - The project object.
+   * @param {Object.<string, any>} request - The merge request data.
+   * @param {(err: Error, [res]) => void} cb - The callback to call when
+   *   finished.
+   */
+  runCommand(command, authorId, project, request, cb) {
+    const iid = request.pull_request.number;
+    const reply = (body, done) => {
+      this.gitlab.createMergeRequestNote(project, iid, body, (error) => {
+        if (error) {
+          this.logger.error(
+            {err: error, command: command},
+            'Problem replying to merge request command'
+          );
+        }
+
+        done();
+      });
+    };
+
+    if (COMMANDS.indexOf(command) === -1) {
+      const usage = COMMANDS.map((name) => `\`/probo ${name}\``).join(', ');
+
+      return reply(
+        `Unknown Probo command \`${command}\`. Supported commands are ${usage}.`,
+        () => cb(null)
+      );
+    }
+
+    this.gitlab.getMemberAccessLevel(project, authorId, (error, accessLevel) => {
+      if (error) {
+        return cb(error);
+      }
+
+      const requiredLevel = COMMAND_ACCESS_LEVELS[command];
+
+      if (accessLevel < requiredLevel) {
+        return reply(
+          `\`/probo ${command}\` was rejected: it requires at least ` +
+            `${ACCESS_LEVEL_NAMES[requiredLevel]} access to this project.`,
+          () => cb(null)
+        );
+      }
+
+      if (command === 'approve') {
+        const label = this.getForkApprovalLabel();
+
+        // Labelling a merge request that has the label already does not fire
+        // a webhook, so it is built right away.
+        if ((request.labels || []).indexOf(label) !== -1) {
+          return reply(
+            `Probo is building this merge request at ${request.sha}.`,
+            () => this.processBuild(project, request, cb)
+          );
+        }
+
+        // Adding the label fires the merge request webhook that builds it.
+        return this.gitlab.addMergeRequestLabels(
+          project,
+          iid,
+          [label],
+          (error) => {
+            if (error) {
+              return cb(error);
+            }
+
+            reply(
+              `Probo approved this merge request and will build it at ${request.sha}.`,
+              () => cb(null)
+            );
+          }
+        );
+      }
+
+      // Rebuilding needs less access than approving, so it must not build a
+      // merge request from a fork nobody approved.
+      if (command === 'rebuild' && !this.isApprovedForBuild(request)) {
+        return reply(
+          '`/probo rebuild` was rejected: this merge request comes from a ' +
+            'fork and has not been approved yet. A maintainer can approve ' +
+            'it with `/probo approve`.',
+          () => cb(null)
+        );
+      }
+
+      if (command === 'rebuild') {
+        return reply(
+          `Probo is rebuilding this merge request at ${request.sha}.`,
+          () => this.processBuild(project, request, cb)
+        );
+      }
+
+      const prefix = this.getStatusPrefix(project);
+
+      this.gitlab.getCommitStatuses(project, request.sha, (error, statuses) => {
+        if (error) {
+          return cb(error);
+        }
+
+        const rows = statuses
+          .filter((status) => status.name.indexOf(`${prefix}ProboCI`) === 0)
+          .map((status) => {
+            const description = status.description || '';
+            return `| ${status.name} | ${status.status} | ${description} |`;
+          });
+
+        let body = `Probo has not reported any status for ${request.sha} yet.`;
+        if (rows.length) {
+          body = [
+            `Probo status for ${request.sha}:`,
+            '',
+            '| Context | State | Description |',
+            '| --- | --- | --- |',
+          ].concat(rows).join('\n');
+        }
+
+        reply(body, () => cb(null, statuses));
+      });
+    });
+  }
+
+  /**
+   * The handler for push events from GitHub webhooks.
+   *
+   * @param {Object.<string, any>} event - The push event.
+   * @param {(err: Error, [build]) => void} cb cb - The callback to be called
+   *   after the update is performed.
+   */
+  pushHandler(event, cb) {
+    this.logger.info({payload: event.payload}, 'GitLab push event received');
+
+    const payload = event.payload;
+    const branch = payload.ref.replace('refs/heads/', '');
+
+    const request = {
+      type: 'branch',
       name: `Branch ${branch}`,
       service: 'gitlab',
       branch: {
@@ -402,10 +1280,39 @@ class GitLabHandler {
       repo: payload.project.name,
       repo_id: payload.project.id,
       sha: payload.after,
+      before: payload.before,
       commit_url: `${payload.project.web_url}/commit/${payload.after}`,
-      message: payload.commits[lastMessage].message,
+      message: '',
+      project_url: payload.project.web_url,
     };
 
+    // Deleting a branch sends a push with an all-zero `after` sha and no
+    // commits. There is nothing to build, so its environment is stopped.
+    if (payload.after === ZERO_SHA) {
+      return this.reapBranch(request, (error) => {
+        this.logger.info(
+          {type: request.type, slug: request.slug, err: error},
+          'Branch deletion processed'
+        );
+
+        return cb && cb(error);
+      });
+    }
+
+    const commits = payload.commits || [];
+    const lastCommit = commits[commits.length - 1];
+
+    // Creating a branch from an existing commit sends a push with no commits,
+    // so there is no commit message to check for markers.
+    if (!lastCommit) {
+      this.logger.info(
+        {branch: branch, created: payload.before === ZERO_SHA},
+        'Push has no commits, no commit message available'
+      );
+    }
+
+    request.message = (lastCommit && lastCommit.message) || '';
+
     this.processWebhookEvent(request, (error, build) => {
       this.logger.info(
         { type: request.type, slug: request.slug, err: error },
@@ -416,6 +1323,77 @@ class GitLabHandler {
     });
   }
 
+  /**
+   * Stops the GitLab environment of a deleted branch.
+   *
+   * The coordinator has no API to reap builds, so the Probo environments of
+   * the branch are left to the reaper.
+   *
+   * @param {Object.<string, any>} request - The push request data.
+   * @param {(err: Error) => void} cb - The callback to call when finished.
+   */
+  reapBranch(request, cb) {
+    this.api.findProjectByRepo(request, (error, project) => {
+      if (error || !project) {
+        this.logger.error(
+          {error},
+          `Project for GitLab project ${request.slug} not found`
+        );
+        return cb(projectLookupError(error));
+      }
+
+      this.stopEnvironment(project, {branch: request.branch.name}, () => cb(null));
+    });
+  }
+
+  /**
+   * The handler for tag push events from GitLab webhooks.
+   *
+   * @param {Object.<string, any>} event - The tag push event.
+   * @param {(err: Error, [build]) => void} cb cb - The callback to be called
+   *   after the update is performed.
+   */
+  tagPushHandler(event, cb) {
+    this.logger.info({payload: event.payload}, 'GitLab tag push event received');
+
+    const payload = event.payload;
+    const tag = payload.ref.replace('refs/tags/', '');
+
+    // For annotated tags, `after` is the sha of the tag object, while
+    // `checkout_sha` is the commit the tag points to. Deleted tags have none.
+    const sha = payload.checkout_sha;
+    if (!sha) {
+      this.logger.info({tag: tag}, 'GitLab tag deletion ignored');
+      return cb && cb();
+    }
+
+    const request = {
+      type: 'tag',
+      name: `Tag ${tag}`,
+      service: 'gitlab',
+      tag: {
+        name: tag,
+        html_url: `${payload.project.web_url}/-/tags/${tag}`,
+      },
+      slug: payload.project.path_with_namespace,
+      owner: payload.project.namespace,
+      repo: payload.project.name,
+      repo_id: payload.project.id,
+      sha: sha,
+      commit_url: `${payload.project.web_url}/commit/${sha}`,
+      message: payload.message || '',
+    };
+
+    this.processWebhookEvent(request, (error, build) => {
+      this.logger.info(
+        {type: request.type, slug: request.slug, err: error},
+        'Tag push event processed'
+      );
+
+      return cb && cb(error, build);
+    });
+  }
+
   /**
    * Update the status of a pipeline job on GitLab.
    *
@@ -434,30 +1412,44 @@ class GitLabHandler {
       'Got build status update'
     );
 
-    // Create a mapping of states that Gitlab accepts
-    const stateMap = {
-      running: 'running',
-      pending: 'pending',
-      success: 'success',
-      error: 'failed',
-      failure: 'failed',
-    };
+    const stateMap = Object.assign({}, STATUS_STATES, this.config.statusStates);
+    const state = stateMap[update.state];
+
+    // GitLab rejects states it does not know, so there is no point posting.
+    if (!state) {
+      this.logger.warn(
+        {update: update, build_id: build.id},
+        'No GitLab status state for build state'
+      );
+      return cb(new Error(`Unknown build state: ${update.state}`));
+    }
 
     const statusInfo = {
-      // Can be one of pending, success, error, or failure.
-      state: stateMap[update.state],
-      description: update.description.substring(0, 140),
+      // Can be one of pending, running, success, failed or canceled.
+      state: state,
+      description: (update.description || '').substring(0, 140),
       context: update.context,
       target_url: update.target_url,
     };
 
-    const task = this.gitlab.postStatus.bind(
-      this.gitlab,
-      build.project,
-      build.commit.ref,
-      statusInfo
-    );
-    statusUpdateQueue.push(task, (error) => {
+    STATUS_FIELDS.forEach((field) => {
+      if (update[field] !== null && typeof update[field] !== 'undefined') {
+        statusInfo[field] = update[field];
+      }
+    });
+
+    // Merged result builds report on the source sha of the merge request.
+    const sha = build.commit.sourceRef || build.commit.ref;
+
+    const statusUpdate = {
+      build: build,
+      sha: sha,
+      statusInfo: statusInfo,
+    };
+    const projectKey = String(build.project.id || build.project.slug);
+    const updateKey = `${sha}:${statusInfo.context}`;
+
+    this.statusQueue.push(projectKey, updateKey, statusUpdate, (error) => {
       if (error) {
         this.logger.error(
           { err: error, build_id: build.id },
@@ -470,89 +1462,576 @@ class GitLabHandler {
         statusInfo,
         'Posted status to GitLab for',
         build.project.slug,
-        build.commit.ref
+        sha
       );
       cb(null, statusInfo);
     });
   }
 
   /**
-   * Processes a webhook event and submits a Probo build.
+   * Gets the prefix of the names of the statuses posted for a project.
    *
-   * @param {Object.<string, any>} request - The incoming hook request data.
-   * @param {string} request.type - The type of request to process (e.g.
-   *   pull_request).
-   * @param {string} request.slug - The identifier for the repo.
-   * @param {(err: Error, [build]) => void} cb - The callback to call when
-   *   finished.
+   * A prefix lets several Probo installs post statuses to the same project
+   * without replacing each other's. It is set with `statusPrefix`, or for a
+   * single project with `statusPrefixes`, keyed by the project slug.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @return {string} - The prefix, if any.
    */
-  processWebhookEvent(request, cb) {
-    this.logger.info(
-      { type: request.type, id: request.id },
-      'Processing merge request'
-    );
+  getStatusPrefix(project) {
+    const prefixes = this.config.statusPrefixes || {};
 
-    this.api.findProjectByRepo(request, (error, project) => {
-      if (error || !project) {
-        this.logger.error(
-          { error },
-          `Project for GitLab project ${request.slug} not found`
-        );
-        return cb(error || new Error('Project not found'));
-      }
+    if (Object.prototype.hasOwnProperty.call(prefixes, project.slug)) {
+      return prefixes[project.slug];
+    }
 
-      // If push event is for a branch and the branch is not enabled, do not
-      // build. (03/09/2022 - we do not have an interface or way to enable branches
-      // so we need to do that before we can enable this. This comes from the
-      // coordinator (currently). Must think this through.
-      if (request.type === 'branch') {
-        //if (!project.branches || !project.branches[request.branch.name]) {
-        if (request.message.indexOf('[build]') === -1) {
-          return cb(null);
-        }
-      }
+    return this.config.statusPrefix || '';
+  }
 
-      this.processBuild(project, request, cb);
+  /**
+   * Tells the coordinator whether a status could be posted to GitLab, so
+   * statuses GitLab never got show up in the Probo UI.
+   *
+   * The outcome is a build status of its own, under the context of the
+   * status prefixed with `GitLab/`, so it does not replace the status.
+   *
+   * @param {Object.<string, any>} build - The build the status is for.
+   * @param {Object.<string, any>} statusInfo - The status.
+   * @param {Error} [error] - Why the status could not be posted.
+   */
+  reportStatusOutcome(build, statusInfo, error) {
+    // Statuses posted outside of a build, e.g. for an invalid .probo.yml,
+    // have nothing to report to.
+    if (!build.id) {
+      return;
+    }
+
+    const context = `GitLab/${statusInfo.context}`;
+    const outcome = {
+      state: error ? 'error' : 'success',
+      description: error
+        ? `Could not post ${statusInfo.state} to GitLab: ${error.message}`
+        : `Posted ${statusInfo.state} to GitLab`,
+    };
+
+    this.api.setBuildStatus(build, context, outcome, (err) => {
+      if (err) {
+        this.logger.warn(
+          {err: err, build_id: build.id, outcome: outcome},
+          'Problem reporting status outcome'
+        );
+      }
     });
   }
 
   /**
-   * Process a build request for a project.
+   * Keeps the Probo summary comment of a merge request up to date.
    *
-   * @param {Object.<string, any>} project - The project object.
-   * @param {Object.<string, any>} request - The incoming hook request data.
-   * @param {(err: Error, [build]) => void} cb - The callback to call when
+   * The summary is only kept when `merge_request_comment` is set in the
+   * .probo.yml file. Its existing comment is found by its hidden marker and
+   * edited in place.
+   *
+   * @param {Object.<string, any>} build - The build the status is for.
+   * @param {string} sha - The sha the status is for.
+   * @param {Object.<string, any>} statusInfo - The status posted to GitLab.
+   * @param {(err: Error, [note]) => void} cb - The callback to call when
    *   finished.
    */
-  processBuild(project, request, cb) {
-    this.gitlab.fetchProboYamlConfig(project, request.sha, (error, config) => {
-      let build = {};
+  updateSummaryComment(build, sha, statusInfo, cb) {
+    const config = build.config || {};
+
+    if (!config.merge_request_comment || !build.pullRequest) {
+      return cb();
+    }
+
+    const project = build.project;
+    const iid = build.pullRequest.number;
 
+    const done = (error, note) => {
       if (error) {
         this.logger.error(
-          { err: error },
-          'Problem fetching Probo Yaml Config file'
+          {err: error, build_id: build.id},
+          'Problem updating the summary comment'
         );
+      }
 
-        // If we can't find a yaml file we should error.
-        build = {
-          commit: { ref: request.sha },
-          project: project,
-        };
-        const update = {
-          state: 'error',
-          description: error.message,
-          context: 'ProboCI/env',
-        };
+      cb(error, note);
+    };
+
+    async.parallel(
+      {
+        user: (next) => this.gitlab.getCurrentUser(project, next),
+        notes: (next) => this.gitlab.getMergeRequestNotes(project, iid, next),
+      },
+      (error, results) => {
+        if (error) {
+          return done(error);
+        }
+
+        // Anyone can quote the summary marker in a comment, but only the
+        // handler's own comments can be edited by it.
+        const note = results.notes.find(
+          (candidate) =>
+            candidate.author &&
+            candidate.author.id === results.user.id &&
+            parseSummary(candidate.body)
+        );
+        const summary = updateSummary(
+          note ? parseSummary(note.body) : null,
+          sha,
+          statusInfo,
+          new Date()
+        );
+        const body = renderSummary(summary);
+
+        if (note) {
+          return this.gitlab.editMergeRequestNote(project, iid, note.id, body, done);
+        }
+
+        this.gitlab.createMergeRequestNote(project, iid, body, done);
+      }
+    );
+  }
+
+  /**
+   * Points the GitLab environment of a merge request or branch at its Probo
+   * environment once the environment is built.
+   *
+   * Only done when `gitlabEnvironments` is enabled.
+   *
+   * @param {Object.<string, any>} build - The build the status is for.
+   * @param {string} sha - The sha the status is for.
+   * @param {Object.<string, any>} statusInfo - The status posted to GitLab.
+   * @param {(err: Error, [deployment]) => void} cb - The callback to call when
+   *   finished.
+   */
+  updateEnvironment(build, sha, statusInfo, cb) {
+    const ready = statusInfo.context === 'ProboCI/env' &&
+      statusInfo.state === 'success' &&
+      statusInfo.target_url;
+    const name = environmentName({
+      pullRequest: build.pullRequest && build.pullRequest.number,
+      branch: build.branch && build.branch.name,
+    });
+
+    if (!this.config.gitlabEnvironments || !ready || !name) {
+      return cb();
+    }
+
+    // The source branch of a merge request from a fork is not a branch of
+    // the project, but GitLab keeps the merge request head under a ref there.
+    const fork = build.pullRequest && build.pullRequest.fork;
+    const environment = {
+      name: name,
+      url: statusInfo.target_url,
+      sha: sha,
+      ref: fork
+        ? `refs/merge-requests/${build.pullRequest.number}/head`
+        : build.branch.name,
+    };
+
+    this.gitlab.deployEnvironment(build.project, environment, (error, deployment) => {
+      if (error) {
+        this.logger.error(
+          {err: error, build_id: build.id, environment: name},
+          'Problem updating GitLab environment'
+        );
+      }
+
+      cb(error, deployment);
+    });
+  }
+
+  /**
+   * Stops the GitLab environment of a reaped merge request or branch.
+   *
+   * Only done when `gitlabEnvironments` is enabled. Failures are logged, as
+   * the Probo environment is gone either way.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {Object.<string, any>} target - What was reaped, see
+   *   environmentName().
+   * @param {() => void} cb - The callback to call when finished.
+   */
+  stopEnvironment(project, target, cb) {
+    const name = environmentName(target);
+
+    if (!this.config.gitlabEnvironments || !name) {
+      return cb();
+    }
+
+    this.gitlab.stopEnvironment(project, name, (error) => {
+      if (error) {
+        this.logger.error(
+          {err: error, environment: name},
+          'Problem stopping GitLab environment'
+        );
+      }
+
+      cb();
+    });
+  }
+
+  /**
+   * Processes a webhook event and submits a Probo build.
+   *
+   * @param {Object.<string, any>} request - The incoming hook request data.
+   * @param {string} request.type - The type of request to process (e.g.
+   *   pull_request).
+   * @param {string} request.slug - The identifier for the repo.
+   * @param {(err: Error, [build]) => void} cb - The callback to call when
+   *   finished.
+   */
+  processWebhookEvent(request, cb) {
+    this.logger.info(
+      { type: request.type, id: request.id },
+      'Processing merge request'
+    );
+
+    // A [skip probo] marker in the last commit message suppresses the build
+    // of both pushes and merge request updates.
+    if (hasMarker(request.message, SKIP_MARKER)) {
+      this.logger.info(
+        {type: request.type, slug: request.slug, sha: request.sha},
+        `Commit message contains ${SKIP_MARKER}, skipping build`
+      );
+      return cb(null);
+    }
+
+    this.api.findProjectByRepo(request, (error, project) => {
+      if (error || !project) {
+        this.logger.error(
+          { error },
+          `Project for GitLab project ${request.slug} not found`
+        );
+        return cb(projectLookupError(error));
+      }
+
+      this.processBuild(project, request, cb);
+    });
+  }
+
+  /**
+   * Process a build request for a project.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {Object.<string, any>} request - The incoming hook request data.
+   * @param {(err: Error, [build]) => void} cb - The callback to call when
+   *   finished.
+   */
+  processBuild(project, request, cb) {
+    const labels = request.labels || [];
+
+    if (labels.indexOf(SKIP_LABEL) !== -1) {
+      this.logger.info(
+        {slug: request.slug, pull_request: request.pull_request.number},
+        `Merge request is labelled ${SKIP_LABEL}, skipping build`
+      );
+      return cb(null);
+    }
+
+    const ref = request.ref || request.sha;
+
+    this.gitlab.fetchProboYamlConfig(project, ref, (error, config) => {
+      let build = {};
+
+      if (!error) {
+        try {
+          const overridden = this.applyConfigOverrides(request, config);
+          request = overridden.request;
+          config = overridden.config;
+        }
+        catch (e) {
+          error = new Error(`Invalid .probo.yml: ${e.message}`);
+        }
+      }
+
+      // Branches and tags no rule selects do not get an error status for a
+      // missing or broken config. Without a config, only the rules of the
+      // project record are known.
+      if (error && !this.isPushSelected(request, project, config || {})) {
+        this.logger.info(
+          {err: error, slug: request.slug, type: request.type},
+          'No usable Probo config for a push no rule selects, skipping build'
+        );
+        return cb(null);
+      }
+
+      if (error) {
+        this.logger.error(
+          { err: error },
+          'Problem fetching Probo Yaml Config file'
+        );
+
+        // If we can't find a yaml file we should error. Like an invalid
+        // config, this fails the status checks of the merge request.
+        build = {
+          commit: {ref: request.source_sha || request.sha},
+          project: project,
+          configRejected: true,
+        };
+        const update = {
+          state: 'error',
+          description: error.message,
+          context: 'ProboCI/env',
+        };
 
         return this.buildStatusUpdateHandler(update, build, cb);
       }
 
       this.logger.info({ config: config }, 'Probo Yaml Config file');
-      this.submitBuild(request, project, config, cb);
+
+      // Tags are only built when they match one of the tag patterns listed in
+      // the .probo.yml file or in the project settings.
+      if (request.type === 'tag') {
+        const patterns = [].concat(config.tags || [], project.tags || []);
+
+        if (!matchesAny(request.tag.name, patterns)) {
+          this.logger.info(
+            {tag: request.tag.name, patterns: patterns},
+            'Tag does not match any tag pattern, skipping build'
+          );
+          return cb(null);
+        }
+      }
+
+      // Projects that opt in only build merge requests labelled for it.
+      if (
+        request.type === 'pull_request' &&
+        config.opt_in &&
+        labels.indexOf(BUILD_LABEL) === -1
+      ) {
+        this.logger.info(
+          {slug: request.slug, pull_request: request.pull_request.number},
+          `Merge request is not labelled ${BUILD_LABEL}, skipping build`
+        );
+        return cb(null);
+      }
+
+      const mergedResult = mergedResultOptions(config);
+
+      // In merged result mode, merge requests build the result of merging
+      // them into their target branch, with the config of that result.
+      if (
+        request.type === 'pull_request' &&
+        mergedResult.enabled &&
+        !request.source_sha
+      ) {
+        return this.processMergedResultBuild(project, request, config, cb);
+      }
+
+      if (request.type === 'branch' && mergedResult.rebuildOnTargetChange) {
+        this.rebuildTargetMergeRequests(project, request);
+      }
+
+      // Branches are only built when they match one of the branch rules or
+      // when the last commit message opts in with [build].
+      if (
+        request.type === 'branch' &&
+        !this.isBranchEnabled(request, project, config)
+      ) {
+        this.logger.info(
+          {branch: request.branch.name},
+          'Branch does not match any branch rule, skipping build'
+        );
+        return cb(null);
+      }
+
+      this.submitFilteredBuild(request, project, config, cb);
+    });
+  }
+
+  /**
+   * Merges the overrides of a config that match a build request into the
+   * config, see applyOverrides() in overrides.js.
+   *
+   * @param {Object.<string, any>} request - The build request.
+   * @param {Object.<string, any>} config - The probo YAML config file.
+   * @return {Object.<string, any>} - The config with the overrides merged in
+   *   and the request, which records the names of the applied overrides.
+   * @throws {Error} - When the overrides section is malformed.
+   */
+  applyConfigOverrides(request, config) {
+    const result = applyOverrides(config, request);
+
+    if (!result.applied.length) {
+      return {request: request, config: result.config};
+    }
+
+    this.logger.info(
+      {slug: request.slug, sha: request.sha, overrides: result.applied},
+      'Applied config overrides'
+    );
+
+    return {
+      request: Object.assign({}, request, {overrides: result.applied}),
+      config: result.config,
+    };
+  }
+
+  /**
+   * Builds the merged result of a merge request instead of its source head.
+   *
+   * Falls back to building the source head when GitLab cannot merge the
+   * merge request, e.g. because of conflicts.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {Object.<string, any>} request - The merge request data.
+   * @param {Object.<string, any>} config - The probo YAML config file of the
+   *   source head.
+   * @param {(err: Error, [build]) => void} cb - The callback to call when
+   *   finished.
+   */
+  processMergedResultBuild(project, request, config, cb) {
+    const iid = request.pull_request.number;
+
+    this.gitlab.getMergeRefSha(project, iid, (error, sha) => {
+      if (error || !sha) {
+        this.logger.warn(
+          {err: error, slug: request.slug, pull_request: iid},
+          'Merged result not available, building the source head'
+        );
+        return this.submitFilteredBuild(request, project, config, cb);
+      }
+
+      // Statuses are still posted against the source sha, which is the one
+      // shown on the merge request.
+      const mergedRequest = Object.assign({}, request, {
+        sha: sha,
+        ref: sha,
+        source_sha: request.sha,
+        commit_url: `${request.project_url}/commit/${sha}`,
+      });
+
+      this.processBuild(project, mergedRequest, cb);
+    });
+  }
+
+  /**
+   * Rebuilds the open merge requests targeting a branch that moved.
+   *
+   * Merge requests from forks are left alone since their approval may
+   * predate the change.
+   *
+   * @param {Object.<string, any>} project - The project object.
+   * @param {Object.<string, any>} request - The push request data.
+   * @param {(err: Error) => void} [cb] - The callback to call when finished.
+   */
+  rebuildTargetMergeRequests(project, request, cb) {
+    const branch = request.branch.name;
+
+    this.gitlab.getOpenMergeRequests(project, branch, (error, results) => {
+      if (error) {
+        this.logger.error(
+          {err: error, branch: branch},
+          'Problem getting merge requests targeting branch'
+        );
+        return cb && cb(error);
+      }
+
+      const rebuilds = results.filter(
+        (mergeRequest) =>
+          mergeRequest.source_project_id === mergeRequest.target_project_id
+      );
+
+      async.eachSeries(
+        rebuilds,
+        (mergeRequest, done) => {
+          const mergeRequestRequest = {
+            type: 'pull_request',
+            name: mergeRequest.title,
+            service: request.service,
+            branch: {
+              name: mergeRequest.source_branch,
+              html_url: `${request.project_url}/tree/${mergeRequest.source_branch}`,
+            },
+            pull_request: {
+              number: mergeRequest.iid,
+              id: mergeRequest.id,
+              name: mergeRequest.title,
+              description: mergeRequest.description,
+              html_url: mergeRequest.web_url,
+            },
+            slug: request.slug,
+            owner: request.owner,
+            repo: request.repo,
+            repo_id: mergeRequest.target_project_id,
+            sha: mergeRequest.sha,
+            commit_url: `${request.project_url}/commit/${mergeRequest.sha}`,
+            message: '',
+            fork: false,
+            project_url: request.project_url,
+            labels: labelTitles(mergeRequest.labels),
+          };
+
+          this.processBuild(project, mergeRequestRequest, (error) => {
+            this.logger.info(
+              {branch: branch, pull_request: mergeRequest.iid, err: error},
+              'Merge request rebuilt after target branch moved'
+            );
+
+            // One failed rebuild should not stop the others.
+            done();
+          });
+        },
+        () => cb && cb(null)
+      );
     });
   }
 
+  /**
+   * Checks whether a branch or tag push is selected for building by a branch
+   * rule or tag pattern. Other requests are always selected.
+   *
+   * @param {Object.<string, any>} request - The build request.
+   * @param {Object.<string, any>} project - The project object.
+   * @param {Object.<string, any>} config - The probo YAML config file.
+   * @return {boolean} - Whether the push is selected.
+   */
+  isPushSelected(request, project, config) {
+    if (request.type === 'tag') {
+      return matchesAny(
+        request.tag.name,
+        [].concat(config.tags || [], project.tags || [])
+      );
+    }
+
+    if (request.type === 'branch') {
+      return this.isBranchEnabled(request, project, config);
+    }
+
+    return true;
+  }
+
+  /**
+   * Checks whether pushes to a branch should be built.
+   *
+   * Branch rules are glob patterns listed under `branches` in the .probo.yml
+   * file or in the project record from the coordinator. The project record may
+   * also hold an object keyed by branch name.
+   *
+   * @param {Object.<string, any>} request - The push request data.
+   * @param {Object.<string, any>} project - The project object.
+   * @param {Object.<string, any>} config - The probo YAML config file.
+   * @return {boolean} - Whether the branch should be built.
+   */
+  isBranchEnabled(request, project, config) {
+    if (hasMarker(request.message, BUILD_MARKER)) {
+      return true;
+    }
+
+    let projectBranches = project.branches || [];
+    if (!Array.isArray(projectBranches)) {
+      projectBranches = Object.keys(projectBranches).filter(
+        (name) => projectBranches[name]
+      );
+    }
+
+    const patterns = [].concat(config.branches || [], projectBranches);
+
+    return matchesAny(request.branch.name, patterns);
+  }
+
   /**
    * Called on a get PR requests made by Probo Reaper. Returns a PR info.
    *
@@ -583,14 +2062,14 @@ class GitLabHandler {
   }
 
   /**
-   * Submits a Probo build request.
+   * Creates the build object sent to the coordinator.
    *
-   * @param {Object.<string, string>} request - Information on the repo/branch/commit to build.
-   * @param {Object.<string, any>} project - The project to build.
+   * @param {Object.<string, any>} request - Information on the
+   *   repo/branch/commit to build.
    * @param {Object.<string, any>} config - The probo YAML config file.
-   * @param {(err: Error, [res]) => void} cb cb - The callback to call when finished.
+   * @return {Object.<string, any>} - The build.
    */
-  submitBuild(request, project, config, cb) {
+  createBuild(request, config) {
     let build = {
       commit: {
         ref: request.sha,
@@ -601,6 +2080,12 @@ class GitLabHandler {
       config: config,
     };
 
+    // Statuses of a merged result build are posted against the merge request
+    // source head, see buildStatusUpdateHandler().
+    if (request.source_sha) {
+      build.commit.sourceRef = request.source_sha;
+    }
+
     // If build is for a pull request or push, branch information is passed.
     if (request.branch) {
       build.branch = {
@@ -609,43 +2094,795 @@ class GitLabHandler {
       };
     }
 
+    // The overrides of the config that were merged in for this build.
+    if (request.overrides) {
+      build.overrides = request.overrides;
+    }
+
+    // If build is for a tag, tag information is passed.
+    if (request.tag) {
+      build.tag = {
+        name: request.tag.name,
+        htmlUrl: request.tag.html_url,
+      };
+    }
+
     // If build is for a pull request, extra information is passed.
     if (request.pull_request) {
+      const labels = request.labels || [];
+
       build.pullRequest = {
         number: request.pull_request.number + '',
         name: request.pull_request.name,
         description: request.pull_request.description,
         htmlUrl: request.pull_request.html_url,
+        fork: Boolean(request.fork),
+        labels: labels,
+        // Probo labels other than the ones controlling whether to build, e.g.
+        // probo:db-refresh, are passed to the build as flags.
+        flags: labels
+          .filter((title) => title.indexOf(LABEL_PREFIX) === 0)
+          .filter((title) => RESERVED_LABELS.indexOf(title) === -1)
+          .filter((title) => title !== this.getForkApprovalLabel())
+          .map((title) => title.substring(LABEL_PREFIX.length)),
       };
     }
 
-    this.logger.error({project}, 'Pre Project Check Configuration');
+    return build;
+  }
+
+  /**
+   * Submits a Probo build request unless none of the files it changes pass
+   * the `only_changes` and `ignore_changes` path filters of the config, in
+   * which case its environment status says it was skipped.
+   *
+   * @param {Object.<string, string>} request - Information on the repo/branch/commit to build.
+   * @param {Object.<string, any>} project - The project to build.
+   * @param {Object.<string, any>} config - The probo YAML config file.
+   * @param {(err: Error, [res]) => void} cb cb - The callback to call when finished.
+   */
+  submitFilteredBuild(request, project, config, cb) {
+    this.matchesPathFilters(project, request, config, (shouldBuild) => {
+      if (shouldBuild) {
+        return this.submitBuild(request, project, config, cb);
+      }
 
-    const tokens = new Tokens(this.config, this.logger);
-    const newTokens = tokens.checkTokens(project);
-    project.service_auth = newTokens;
+      this.logger.info(
+        {slug: request.slug, sha: request.sha},
+        'No changed file passes the path filters, skipping build'
+      );
 
-    this.logger.error({project}, 'Post Project Check Configuration');
+      // Not a build, but skipping it passes the status checks of the merge
+      // request all the same.
+      const build = {
+        commit: {ref: request.source_sha || request.sha},
+        project: project,
+        configSkipped: true,
+      };
+      const update = {
+        state: 'success',
+        description: 'Build skipped: no changed file passes the path filters',
+        context: 'ProboCI/env',
+      };
 
-    this.api.submitBuild(build, project, (err, submittedBuild) => {
-      if (err) {
-        // TODO: save the PR if submitting it fails (though logging it here might be ok)
-        this.logger.error(
-          {
-            err: err,
-            request: request,
-            build: build,
-            response: submittedBuild,
-          },
-          'Problem submitting build'
+      this.buildStatusUpdateHandler(update, build, cb);
+    });
+  }
+
+  /**
+   * Checks whether any file a push or merge request changes passes the path
+   * filters of a config: it must not match `ignore_changes` and, if the
+   * config has `only_changes`, must match it.
+   *
+   * Builds whose changes are not known, such as tags, new branches and
+   * changes GitLab failed to list, are not filtered.
+   *
+   * @param {Object.<string, any>} project - The project to build.
+   * @param {Object.<string, string>} request - Information on the repo/branch/commit to build.
+   * @param {Object.<string, any>} config - The probo YAML config file.
+   * @param {(shouldBuild: boolean) => void} cb - Called with whether to build.
+   */
+  matchesPathFilters(project, request, config, cb) {
+    const only = config.only_changes;
+    const ignore = config.ignore_changes;
+
+    if (!only && !ignore) {
+      return cb(true);
+    }
+
+    const filter = (error, paths) => {
+      if (error) {
+        this.logger.warn(
+          {err: error, slug: request.slug, sha: request.sha},
+          'Could not list the changed files, building anyway'
         );
-        return cb && cb(err);
+        return cb(true);
       }
 
-      this.logger.info({ build: submittedBuild }, 'Submitted build');
+      const passing = paths.filter(
+        (path) =>
+          !matchesAnyPath(path, ignore) && (!only || matchesAnyPath(path, only))
+      );
 
-      cb(null, submittedBuild);
-    });
+      cb(passing.length > 0);
+    };
+
+    if (request.type === 'pull_request') {
+      return this.gitlab.getMergeRequestChangedFiles(
+        project,
+        request.pull_request.number,
+        filter
+      );
+    }
+
+    if (request.type === 'branch' && request.before && request.before !== ZERO_SHA) {
+      return this.gitlab.getChangedFiles(project, request.before, request.sha, filter);
+    }
+
+    cb(true);
+  }
+
+  /**
+   * Submits a Probo build request.
+   *
+   * @param {Object.<string, string>} request - Information on the repo/branch/commit to build.
+   * @param {Object.<string, any>} project - The project to build.
+   * @param {Object.<string, any>} config - The probo YAML config file.
+   * @param {(err: Error, [res]) => void} cb cb - The callback to call when finished.
+   */
+  submitBuild(request, project, config, cb) {
+    const errors = validateConfig(config);
+
+    if (errors.length) {
+      return this.rejectInvalidConfig(request, project, errors, cb);
+    }
+
+    const unknownKeys = findUnknownKeys(config);
+
+    if (unknownKeys.length) {
+      this.logger.warn(
+        {slug: project.slug, sha: request.sha, keys: unknownKeys.map(formatError)},
+        'Unknown keys in Probo Yaml Config file'
+      );
+    }
+
+    this.sendBuild(request, project, config, (err, submittedBuild) => {
+      if (err) {
+        // Once saved, the build is replayed from the failed builds rather
+        // than retried from the queue, so it is only submitted once.
+        return this.saveFailedBuild(request, project, config, err, (saveErr) => {
+          return cb && cb(saveErr ? err : null);
+        });
+      }
+
+      // An earlier failure of this build went through just now.
+      const earlier = this.failedBuilds.find(request, project);
+
+      if (earlier) {
+        this.failedBuilds.remove(earlier.id, (error) => {
+          if (error) {
+            this.logger.error({err: error, failedBuild: earlier.id}, 'Problem removing failed build');
+          }
+        });
+      }
+
+      // The coordinator is reachable, so earlier failures may go through now.
+      this.replayFailedBuilds();
+
+      cb(null, submittedBuild);
+    });
+  }
+
+  /**
+   * Fails the environment status of a build whose .probo.yml does not match
+   * the schema, instead of building it.
+   *
+   * @param {Object.<string, any>} request - Information on the repo/branch/commit to build.
+   * @param {Object.<string, any>} project - The project to build.
+   * @param {Array.<Object>} errors - The problems found by validateConfig().
+   * @param {(err: Error, [res]) => void} cb - The callback to call when finished.
+   */
+  rejectInvalidConfig(request, project, errors, cb) {
+    this.logger.info(
+      {slug: project.slug, sha: request.sha, errors: errors},
+      'Invalid Probo Yaml Config file, skipping build'
+    );
+
+    // Not a build, but its result answers the status checks of the merge
+    // request all the same.
+    const build = {
+      commit: {ref: request.source_sha || request.sha},
+      project: project,
+      configRejected: true,
+    };
+    // Commit statuses only fit a short description, the problems are listed
+    // in a comment the status links to.
+    const count = errors.length === 1 ? '1 error' : `${errors.length} errors`;
+    const update = {
+      state: 'failed',
+      description: `Invalid .probo.yml (${count})`,
+      context: 'ProboCI/env',
+    };
+
+    const comment = (done) => {
+      if (!this.config.configErrorComments) {
+        return done();
+      }
+
+      const subject = request.pull_request ? 'this merge request' : 'this commit';
+      const body = [
+        `**Probo did not build ${subject}** because its .probo.yml does not match version ${SCHEMA_VERSION} of the schema:`,
+        '',
+      ].concat(errors.map((error) => `- ${formatError(error)}`)).join('\n');
+
+      const commented = (error) => {
+        if (error) {
+          this.logger.error(
+            {err: error},
+            'Problem commenting on invalid Probo Yaml Config file'
+          );
+        }
+        else {
+          update.target_url = request.pull_request
+            ? request.pull_request.html_url
+            : request.commit_url;
+        }
+
+        done();
+      };
+
+      if (request.pull_request) {
+        return this.gitlab.createMergeRequestNote(
+          project,
+          request.pull_request.number,
+          body,
+          commented
+        );
+      }
+
+      this.gitlab.createCommitComment(project, request.sha, body, commented);
+    };
+
+    comment(() => this.buildStatusUpdateHandler(update, build, cb));
+  }
+
+  /**
+   * Sends a build to the coordinator.
+   *
+   * @param {Object.<string, any>} request - Information on the repo/branch/commit to build.
+   * @param {Object.<string, any>} project - The project to build.
+   * @param {Object.<string, any>} config - The probo YAML config file.
+   * @param {(err: Error, [res]) => void} cb - The callback to call when finished.
+   */
+  sendBuild(request, project, config, cb) {
+    const build = this.createBuild(request, config);
+
+    this.refreshProjectTokens(project, () => {
+      this.api.submitBuild(build, project, (err, submittedBuild) => {
+        if (err) {
+          this.logger.error(
+            {
+              err: err,
+              request: request,
+              build: build,
+              response: submittedBuild,
+            },
+            'Problem submitting build'
+          );
+          return cb(err);
+        }
+
+        this.logger.info({build: submittedBuild}, 'Submitted build');
+
+        cb(null, submittedBuild);
+      });
+    });
+  }
+
+  /**
+   * Puts the current OAuth tokens of a project on it, so the coordinator can
+   * clone the repository of a build.
+   *
+   * @param {Object.<string, any>} project - The project to build.
+   * @param {() => void} cb - The callback to call when finished. The project
+   *   keeps the tokens it has if fresh ones could not be had.
+   */
+  refreshProjectTokens(project, cb) {
+    if (!project.service_auth) {
+      return cb();
+    }
+
+    this.gitlab.tokens.getTokens(project, (error, tokens) => {
+      if (error) {
+        this.logger.warn(
+          {err: error, project: project.id},
+          'Could not get fresh OAuth tokens for the build'
+        );
+      }
+      else {
+        project.service_auth = {
+          token: tokens.token,
+          refreshToken: tokens.refreshToken,
+        };
+      }
+
+      cb();
+    });
+  }
+
+  /**
+   * Keeps a build the coordinator did not accept so it can be replayed.
+   *
+   * @param {Object.<string, any>} request - Information on the repo/branch/commit to build.
+   * @param {Object.<string, any>} project - The project to build.
+   * @param {Object.<string, any>} config - The probo YAML config file.
+   * @param {Error} error - Why the submission failed.
+   * @param {(err: Error) => void} cb - The callback to call when saved.
+   */
+  saveFailedBuild(request, project, config, error, cb) {
+    this.failedBuilds.add(request, project, config, error, (err, entry) => {
+      if (err) {
+        this.logger.error({err: err, request: request}, 'Problem saving failed build');
+        return cb(err);
+      }
+
+      this.logger.info({failedBuild: entry.id}, 'Saved failed build for replay');
+      cb(null);
+    });
+  }
+
+  /**
+   * Submits a failed build again.
+   *
+   * The project is looked up again so the build gets current OAuth tokens.
+   * The failed build is forgotten once it is submitted.
+   *
+   * @param {Object.<string, any>} entry - The failed build.
+   * @param {(err: Error, [res]) => void} cb - The callback to call when finished.
+   */
+  replayFailedBuild(entry, cb) {
+    const failed = (error) => {
+      entry.attempts++;
+      entry.error = error.message;
+      entry.replayedAt = new Date().toISOString();
+
+      this.failedBuilds.update(entry, (err) => {
+        if (err) {
+          this.logger.error({err: err, failedBuild: entry.id}, 'Problem saving failed build');
+        }
+
+        cb(error);
+      });
+    };
+
+    const lookup = {
+      service: entry.project.service || 'gitlab',
+      slug: entry.project.slug,
+    };
+
+    this.api.findProjectByRepo(lookup, (error, project) => {
+      if (error || !project) {
+        return failed(error || new Error(`Project ${lookup.slug} not found`));
+      }
+
+      this.sendBuild(entry.request, project, entry.config, (error, build) => {
+        if (error) {
+          return failed(error);
+        }
+
+        this.failedBuilds.remove(entry.id, (err) => {
+          if (err) {
+            this.logger.error({err: err, failedBuild: entry.id}, 'Problem removing failed build');
+          }
+
+          this.logger.info({failedBuild: entry.id, build: build}, 'Replayed failed build');
+          cb(null, build);
+        });
+      });
+    });
+  }
+
+  /**
+   * Replays the failed builds that have attempts left, oldest first.
+   *
+   * Replaying stops at the first build that fails again, as the coordinator is
+   * probably still unreachable.
+   *
+   * @param {(err: Error) => void} [cb] - The callback to call when finished.
+   */
+  replayFailedBuilds(cb) {
+    const maxAttempts = this.failedBuildOptions.maxAttempts || 10;
+    const entries = this.failedBuilds
+      .list()
+      .filter((entry) => entry.attempts < maxAttempts);
+
+    if (this.replayingFailedBuilds || !entries.length) {
+      return cb && cb();
+    }
+
+    this.replayingFailedBuilds = true;
+
+    async.eachSeries(
+      entries,
+      (entry, next) => this.replayFailedBuild(entry, next),
+      (error) => {
+        this.replayingFailedBuilds = false;
+
+        if (error) {
+          this.logger.warn({err: error}, 'Stopped replaying failed builds');
+        }
+
+        return cb && cb(error);
+      }
+    );
+  }
+
+  /**
+   * Accepts an external status check request from GitLab.
+   *
+   * GitLab sends the merge request to every external status check of the
+   * project when it changes. The check is answered once the Probo environment
+   * of the merge request head is built, so merging can require a working
+   * environment.
+   *
+   * @param {import('restify').Request} req - The request to the server.
+   * @param {import('restify').Response} res - The server response
+   * @param {import('restify').Next} next - Next handler in the chain.
+   */
+  statusCheckController(req, res, next) {
+    const secret = this.config.statusCheckSecret;
+    const payload = req.body;
+
+    if (!secret || !isValidSignature(secret, req.rawBody, req.headers['x-gitlab-signature'])) {
+      res.send(401, {error: 'Invalid X-Gitlab-Signature'});
+      return next();
+    }
+
+    if (!payload || payload.object_kind !== 'merge_request' || !payload.object_attributes) {
+      res.send(400, {error: 'Expected a merge request'});
+      return next();
+    }
+
+    res.send(202, {ok: true});
+    next();
+
+    this.handleStatusCheck(payload, (error) => {
+      if (error) {
+        this.logger.error({err: error}, 'Problem handling status check');
+      }
+    });
+  }
+
+  /**
+   * Answers the external status checks of a merge request right away if its
+   * environment is already built, or remembers them until it is.
+   *
+   * Only the checks pointing at this handler are answered.
+   *
+   * @param {Object.<string, any>} payload - The merge request sent by GitLab.
+   * @param {(err: Error) => void} cb - The callback to call when finished.
+   */
+  handleStatusCheck(payload, cb) {
+    const attributes = payload.object_attributes;
+    const requestedIds = (payload.external_approval_rules || [])
+      .filter((rule) => this.isOwnStatusCheck(rule))
+      .map((rule) => rule.id);
+
+    if (!requestedIds.length) {
+      return cb();
+    }
+
+    const request = {
+      service: 'gitlab',
+      slug: payload.project.path_with_namespace,
+    };
+
+    this.api.findProjectByRepo(request, (error, project) => {
+      if (error || !project) {
+        return cb(error || new Error(`Project ${request.slug} not found`));
+      }
+
+      this.getOwnStatusCheckIds(project, requestedIds, (error, checkIds) => {
+        if (error || !checkIds.length) {
+          return cb(error);
+        }
+
+        const checks = {
+          project: project,
+          iid: attributes.iid,
+          sha: attributes.last_commit.id,
+          checkIds: checkIds,
+        };
+
+        this.gitlab.getCommitStatuses(project, checks.sha, (error, statuses) => {
+          if (error) {
+            return cb(error);
+          }
+
+          const name = `${this.getStatusPrefix(project)}ProboCI/env`;
+          const status = statuses.find((candidate) => candidate.name === name);
+          const result = status && STATUS_CHECK_RESULTS[status.status];
+
+          if (result) {
+            return this.answerStatusChecks(checks, result, cb);
+          }
+
+          this.logger.info(
+            {project: project.id, sha: checks.sha, checks: checkIds},
+            'Status checks waiting for build'
+          );
+          this.statusChecks.add(`${project.provider_id}:${checks.sha}`, checks, cb);
+        });
+      });
+    });
+  }
+
+  /**
+   * Checks whether an external status check points at this handler.
+   *
+   * @param {Object.<string, any>} check - The external status check.
+   * @return {boolean} - Whether the check is answered by this handler.
+   */
+  isOwnStatusCheck(check) {
+    return url.parse(check.external_url || '').pathname === this.config.statusCheckPath;
+  }
+
+  /**
+   * Keeps the ids of external status checks that the project has and that
+   * point at this handler, as the ids sent with a request are not trusted.
+   *
+   * @param {Object.<string, any>} project - The project of the merge request.
+   * @param {Array.<number>} checkIds - The ids of the checks to answer.
+   * @param {(err: Error, [checkIds]: Array.<number>) => void} cb - The
+   *   callback to call with the ids of the checks of the project.
+   */
+  getOwnStatusCheckIds(project, checkIds, cb) {
+    this.gitlab.getExternalStatusChecks(project, (error, checks) => {
+      if (error) {
+        return cb(error);
+      }
+
+      const ownIds = checks
+        .filter((check) => this.isOwnStatusCheck(check))
+        .map((check) => check.id);
+      const foreignIds = checkIds.filter((id) => ownIds.indexOf(id) === -1);
+
+      if (foreignIds.length) {
+        this.logger.warn(
+          {project: project.id, checks: foreignIds},
+          'Ignoring status checks the project does not have'
+        );
+      }
+
+      cb(null, checkIds.filter((id) => ownIds.indexOf(id) !== -1));
+    });
+  }
+
+  /**
+   * Answers the external status checks waiting for a build once its
+   * environment is built or failed, its config was rejected or the build was
+   * skipped by the path filters of its config.
+   *
+   * @param {Object.<string, any>} build - The build the status is for.
+   * @param {string} sha - The sha the status is for.
+   * @param {Object.<string, any>} statusInfo - The status posted to GitLab.
+   * @param {(err: Error) => void} cb - The callback to call when finished.
+   */
+  resolveStatusChecks(build, sha, statusInfo, cb) {
+    const key = `${build.project.provider_id}:${sha}`;
+    const checks = this.statusChecks.get(key);
+
+    // Statuses posted outside of a build, e.g. when an environment is reaped,
+    // say nothing about whether the merge request works.
+    if (
+      !checks ||
+      !(build.id || build.configRejected || build.configSkipped) ||
+      statusInfo.context !== 'ProboCI/env'
+    ) {
+      return cb();
+    }
+
+    const result = STATUS_CHECK_RESULTS[statusInfo.state];
+    if (!result) {
+      return cb();
+    }
+
+    this.statusChecks.remove(key, (error) => {
+      if (error) {
+        this.logger.error(
+          {err: error, sha: sha},
+          'Problem forgetting answered status checks'
+        );
+      }
+
+      // The stored checks have no tokens, the project of the build has.
+      this.answerStatusChecks(
+        Object.assign({}, checks, {project: build.project}),
+        result,
+        cb
+      );
+    });
+  }
+
+  /**
+   * Answers external status checks.
+   *
+   * @param {Object.<string, any>} checks - The checks of a merge request.
+   * @param {string} result - Either `passed` or `failed`.
+   * @param {(err: Error) => void} cb - The callback to call when finished.
+   */
+  answerStatusChecks(checks, result, cb) {
+    async.each(
+      checks.checkIds,
+      (id, next) => {
+        const check = {id: id, sha: checks.sha, status: result};
+
+        this.gitlab.respondToStatusCheck(checks.project, checks.iid, check, next);
+      },
+      (error) => {
+        if (error) {
+          this.logger.error(
+            {err: error, sha: checks.sha},
+            'Problem answering status checks'
+          );
+          return cb(error);
+        }
+
+        this.logger.info(
+          {sha: checks.sha, checks: checks.checkIds, result: result},
+          'Answered status checks'
+        );
+        cb();
+      }
+    );
+  }
+
+  /**
+   * Checks the admin token of a request to an admin route.
+   *
+   * The admin routes are disabled when no admin token is configured.
+   *
+   * @param {import('restify').Request} req - The request to the server.
+   * @param {import('restify').Response} res - The server response
+   * @param {import('restify').Next} next - Next handler in the chain.
+   */
+  authorizeAdmin(req, res, next) {
+    const token = this.config.adminToken;
+
+    if (!token || req.headers.authorization !== `Bearer ${token}`) {
+      res.send(401, {error: 'Unauthorized'});
+      return next(false);
+    }
+
+    next();
+  }
+
+  /**
+   * Lists the failed builds.
+   *
+   * @param {import('restify').Request} req - The request to the server.
+   * @param {import('restify').Response} res - The server response
+   * @param {import('restify').Next} next - Next handler in the chain.
+   */
+  listFailedBuildsController(req, res, next) {
+    const failedBuilds = this.failedBuilds.list().map((entry) => {
+      return {
+        id: entry.id,
+        failedAt: entry.failedAt,
+        replayedAt: entry.replayedAt,
+        attempts: entry.attempts,
+        error: entry.error,
+        project: entry.project.slug,
+        type: entry.request.type,
+        name: entry.request.name,
+        sha: entry.request.sha,
+      };
+    });
+
+    res.json(failedBuilds);
+    next();
+  }
+
+  /**
+   * Shows a failed build with its request, project and config.
+   *
+   * @param {import('restify').Request} req - The request to the server.
+   * @param {import('restify').Response} res - The server response
+   * @param {import('restify').Next} next - Next handler in the chain.
+   */
+  getFailedBuildController(req, res, next) {
+    const entry = this.failedBuilds.get(req.params.id);
+
+    if (!entry) {
+      res.send(404, {error: 'Failed build not found'});
+      return next();
+    }
+
+    res.json(entry);
+    next();
+  }
+
+  /**
+   * Replays a failed build.
+   *
+   * @param {import('restify').Request} req - The request to the server.
+   * @param {import('restify').Response} res - The server response
+   * @param {import('restify').Next} next - Next handler in the chain.
+   */
+  replayFailedBuildController(req, res, next) {
+    const entry = this.failedBuilds.get(req.params.id);
+
+    if (!entry) {
+      res.send(404, {error: 'Failed build not found'});
+      return next();
+    }
+
+    this.replayFailedBuild(entry, (error, build) => {
+      if (error) {
+        res.send(502, {error: error.message});
+        return next();
+      }
+
+      res.json(build);
+      next();
+    });
+  }
+
+  /**
+   * Discards a failed build.
+   *
+   * @param {import('restify').Request} req - The request to the server.
+   * @param {import('restify').Response} res - The server response
+   * @param {import('restify').Next} next - Next handler in the chain.
+   */
+  discardFailedBuildController(req, res, next) {
+    if (!this.failedBuilds.get(req.params.id)) {
+      res.send(404, {error: 'Failed build not found'});
+      return next();
+    }
+
+    this.failedBuilds.remove(req.params.id, (error) => {
+      if (error) {
+        this.logger.error({err: error}, 'Problem removing failed build');
+        res.send(500, {error: error.message});
+        return next();
+      }
+
+      this.logger.info({failedBuild: req.params.id}, 'Discarded failed build');
+      res.send(204);
+      next();
+    });
+  }
+
+  /**
+   * Shows the hits, misses and size of the commit cache.
+   *
+   * @param {import('restify').Request} req - The request to the server.
+   * @param {import('restify').Response} res - The server response
+   * @param {import('restify').Next} next - Next handler in the chain.
+   */
+  cacheStatsController(req, res, next) {
+    res.json(this.gitlab.cache.stats());
+    next();
+  }
+
+  /**
+   * Drops the cached configs and commits of a GitLab project, e.g. after a
+   * file it includes from another project changed.
+   *
+   * @param {import('restify').Request} req - The request to the server.
+   * @param {import('restify').Response} res - The server response
+   * @param {import('restify').Next} next - Next handler in the chain.
+   */
+  invalidateCacheController(req, res, next) {
+    const removed = this.gitlab.cache.invalidate(req.params.projectId);
+
+    this.logger.info(
+      {projectId: req.params.projectId, removed: removed},
+      'Invalidated cached configs and commits'
+    );
+    res.json({removed: removed});
+    next();
   }
 }
 
@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * @class
+ *
+ * Keeps what was read from GitLab about a commit, such as its parsed Probo
+ * config, so that webhooks and builds of the same sha do not fetch it again.
+ *
+ * Entries belong to a GitLab project and expire after a while, because a
+ * config can include files of other projects at a branch. When the cache is
+ * full, the least recently used entry makes room.
+ */
+class CommitCache {
+
+  /**
+   * @param {Object} [options] - Settings for the cache.
+   * @param {number} [options.maxEntries=1000] - How many entries are kept.
+   * @param {number} [options.ttl=3600] - How long entries are kept, in
+   *   seconds.
+   */
+  constructor(options) {
+    options = options || {};
+
+    this.maxEntries = options.maxEntries || 1000;
+    this.ttl = (options.ttl || 3600) * 1000;
+
+    // Maps keep their insertion order, so the first entry is the least
+    // recently used one.
+    this.entries = new Map();
+
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Builds the key of an entry.
+   *
+   * @param {number|string} projectId - The GitLab project id.
+   * @param {string} key - The key within the project, e.g. `config:<sha>`.
+   * @return {string} - The key of the entry.
+   */
+  key(projectId, key) {
+    return `${projectId}:${key}`;
+  }
+
+  /**
+   * Looks an entry up.
+   *
+   * @param {number|string} projectId - The GitLab project id.
+   * @param {string} key - The key within the project.
+   * @return {?{value: any}} - The entry, or null if it is not cached.
+   */
+  get(projectId, key) {
+    const cacheKey = this.key(projectId, key);
+    const entry = this.entries.get(cacheKey);
+
+    if (!entry || entry.expires <= Date.now()) {
+      this.entries.delete(cacheKey);
+      this.misses++;
+      return null;
+    }
+
+    // Moves the entry to the end, as the most recently used one.
+    this.entries.delete(cacheKey);
+    this.entries.set(cacheKey, entry);
+    this.hits++;
+
+    return {value: entry.value};
+  }
+
+  /**
+   * Stores an entry.
+   *
+   * @param {number|string} projectId - The GitLab project id.
+   * @param {string} key - The key within the project.
+   * @param {any} value - The value to keep.
+   */
+  set(projectId, key, value) {
+    const cacheKey = this.key(projectId, key);
+
+    this.entries.delete(cacheKey);
+    this.entries.set(cacheKey, {
+      projectId: String(projectId),
+      value: value,
+      expires: Date.now() + this.ttl,
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Drops the entries of a project.
+   *
+   * @param {number|string} projectId - The GitLab project id.
+   * @return {number} - How many entries were dropped.
+   */
+  invalidate(projectId) {
+    let removed = 0;
+
+    this.entries.forEach((entry, cacheKey) => {
+      if (entry.projectId === String(projectId)) {
+        this.entries.delete(cacheKey);
+        removed++;
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Describes how well the cache works.
+   *
+   * @return {Object} - The number of entries, hits, misses and evictions.
+   */
+  stats() {
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+    };
+  }
+}
+
+module.exports = CommitCache;
@@ -0,0 +1,94 @@
+'use strict';
+
+const {isPlainObject, deepMerge} = require('./merge');
+const {getPosition, setPosition, inheritPosition} = require('./positions');
+
+/**
+ * The directory a config can be split into instead of a .probo.yml file.
+ */
+const CONFIG_DIRECTORY = '.probo';
+
+/**
+ * Picks the config files of a config directory and puts them in the order
+ * they are merged: the files directly in the directory first, then the files
+ * of its subdirectories, each group sorted by path.
+ *
+ * @param {string[]} paths - The paths of the files in the directory,
+ *   relative to the root of the repository.
+ * @return {string[]} - The paths of the YAML files, in merge order.
+ */
+function sortConfigFiles(paths) {
+  const prefix = `${CONFIG_DIRECTORY}/`;
+  const nested = (file) => (file.indexOf('/', prefix.length) === -1 ? 0 : 1);
+
+  return paths
+    .filter((file) => file.indexOf(prefix) === 0 && /\.ya?ml$/.test(file))
+    .sort((a, b) => nested(a) - nested(b) || (a < b ? -1 : Number(a > b)));
+}
+
+/**
+ * Merges the files of a config directory into one config.
+ *
+ * A file directly in the directory, e.g. .probo/assets.yml, is a part of the
+ * config and is deep merged into it. A file in a subdirectory holds values of
+ * the key the subdirectory is named after: the lists in .probo/steps/ are
+ * appended to `steps`, mappings are deep merged into the key.
+ *
+ * @param {Array.<{path: string, config: any}>} files - The contents of the
+ *   files, in the order of sortConfigFiles().
+ * @return {Object} - The merged config.
+ */
+function mergeConfigFiles(files) {
+  return files.reduce((config, file) => {
+    const segments = file.path.split('/');
+
+    // Empty files add nothing.
+    if (file.config === null || typeof file.config === 'undefined') {
+      return config;
+    }
+
+    if (segments.length === 2) {
+      if (!isPlainObject(file.config)) {
+        throw new Error(`${file.path} must contain a mapping of settings`);
+      }
+
+      return deepMerge(config, file.config);
+    }
+
+    const key = segments[1];
+    const current = config[key];
+    let value;
+
+    if (Array.isArray(file.config)) {
+      const list = Array.isArray(current) ? current : [];
+      value = inheritPosition(list.concat(file.config), [list, file.config]);
+    }
+    else if (isPlainObject(file.config)) {
+      value = isPlainObject(current) ? deepMerge(current, file.config) : file.config;
+    }
+    else {
+      throw new Error(`${file.path} must contain a list or a mapping`);
+    }
+
+    // The key comes from the name of the directory, so its position is the
+    // start of the file.
+    const fileConfig = {[key]: value};
+    const position = getPosition(file.config);
+
+    if (position) {
+      setPosition(fileConfig, {
+        file: position.file,
+        line: position.line,
+        entries: {[key]: {file: position.file, line: position.line}},
+      });
+    }
+
+    return inheritPosition(Object.assign({}, config, fileConfig), [config, fileConfig]);
+  }, {});
+}
+
+module.exports = {
+  CONFIG_DIRECTORY,
+  sortConfigFiles,
+  mergeConfigFiles,
+};
@@ -0,0 +1,231 @@
+'use strict';
+
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+
+const {isPlainObject} = require('./merge');
+const {getPosition, setPosition} = require('./positions');
+const schema = require('./schemas/probo-yml-v1.json');
+
+/**
+ * The version of the .probo.yml schema configs are validated against.
+ */
+const SCHEMA_VERSION = 1;
+
+const ajv = new Ajv({allErrors: true, jsonPointers: true});
+const validate = ajv.compile(schema);
+
+/**
+ * Records the positions of the mappings and lists of a parsed YAML document,
+ * see positions.js.
+ *
+ * @param {any} value - A value of the document.
+ * @param {Object} node - The YAML node of the value.
+ * @param {?string} file - The file the document was read from.
+ */
+function recordPositions(value, node, file) {
+  if (node.kind === 'sequence' && Array.isArray(value)) {
+    setPosition(value, {
+      file: file,
+      line: node.line,
+      entries: node.children.map((child) => ({file: file, line: child.line})),
+    });
+
+    value.forEach((item, index) => {
+      if (node.children[index]) {
+        recordPositions(item, node.children[index], file);
+      }
+    });
+  }
+  else if (node.kind === 'mapping' && isPlainObject(value)) {
+    const entries = {};
+
+    // Keys and values alternate among the children of a mapping.
+    Object.keys(value).forEach((key, index) => {
+      const keyNode = node.children[index * 2];
+      const valueNode = node.children[index * 2 + 1];
+
+      if (keyNode) {
+        entries[key] = {file: file, line: keyNode.line};
+      }
+      if (valueNode) {
+        recordPositions(value[key], valueNode, file);
+      }
+    });
+
+    setPosition(value, {file: file, line: node.line, entries: entries});
+  }
+}
+
+/**
+ * Parses a YAML document and remembers where each of its nodes is.
+ *
+ * @param {string} text - The YAML document.
+ * @param {string} [file] - The file the document was read from, reported
+ *   with the lines of invalid keys.
+ * @return {any} - The parsed document.
+ */
+function loadYaml(text, file) {
+  const stack = [];
+  let root = null;
+
+  const result = yaml.safeLoad(text, {
+    listener: (event, state) => {
+      if (event === 'open') {
+        stack.push({line: state.line + 1, children: []});
+        return;
+      }
+
+      const node = stack.pop();
+      node.kind = state.kind;
+
+      if (stack.length) {
+        stack[stack.length - 1].children.push(node);
+      }
+      else {
+        root = node;
+      }
+    },
+  });
+
+  if (root) {
+    recordPositions(result, root, file || null);
+  }
+
+  return result;
+}
+
+/**
+ * Finds where the value at a JSON pointer in a config is.
+ *
+ * The line of a mapping value is the line of its key. Configs merged from
+ * several files keep the positions of their values, see positions.js.
+ *
+ * @param {Object} config - The config.
+ * @param {string[]} segments - The segments of the JSON pointer.
+ * @return {{file: ?string, line: ?number}} - The file and line, which are
+ *   null if they are not known.
+ */
+function findPosition(config, segments) {
+  let position = getPosition(config);
+  let found = {file: position ? position.file : null, line: position ? position.line : null};
+  let value = config;
+
+  for (let i = 0; position && i < segments.length; i++) {
+    const entry = position.entries[segments[i]];
+
+    if (entry) {
+      found = entry;
+    }
+
+    value = value && value[segments[i]];
+    position = getPosition(value);
+  }
+
+  return {file: found.file, line: found.line};
+}
+
+/**
+ * Validates a .probo.yml config against the schema.
+ *
+ * @param {Object} config - The config.
+ * @return {Array.<{path: string, file: ?string, line: ?number, message: string}>}
+ *   - The problems found, if any, by line.
+ */
+function validateConfig(config) {
+  if (validate(config)) {
+    return [];
+  }
+
+  return validate.errors
+    // The alternatives of a oneOf are reported on their own too.
+    .filter((error) => error.keyword !== 'oneOf')
+    .map((error) => {
+      const segments = error.dataPath
+        .split('/')
+        .slice(1)
+        .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+      let message = error.message;
+
+      if (error.keyword === 'additionalProperties') {
+        segments.push(error.params.additionalProperty);
+        message = 'is not a known key';
+      }
+
+      const path = segments
+        .map((segment) => (/^\d+$/.test(segment) ? `[${segment}]` : `.${segment}`))
+        .join('')
+        .replace(/^\./, '');
+
+      const position = findPosition(config, segments);
+
+      return {
+        path: path || '(root)',
+        file: position.file,
+        line: position.line,
+        message: message,
+      };
+    })
+    // Problems are listed by file, in the order they appear in it.
+    .sort((a, b) => (a.file || '').localeCompare(b.file || '') ||
+      (a.line || Infinity) - (b.line || Infinity));
+}
+
+/**
+ * Finds the top-level keys of a config the schema does not describe.
+ *
+ * Probo supports more keys than the schema lists, so unknown keys are only
+ * warned about, as they may as well be typos.
+ *
+ * @param {Object} config - The config.
+ * @return {Array.<{path: string, file: ?string, line: ?number, message: string}>}
+ *   - The unknown keys, in the format of validateConfig().
+ */
+function findUnknownKeys(config) {
+  if (!isPlainObject(config)) {
+    return [];
+  }
+
+  const patterns = Object.keys(schema.patternProperties).map((pattern) => new RegExp(pattern));
+
+  return Object.keys(config)
+    .filter((key) => !schema.properties[key] && !patterns.some((pattern) => pattern.test(key)))
+    .map((key) => {
+      const position = findPosition(config, [key]);
+
+      return {
+        path: key,
+        file: position.file,
+        line: position.line,
+        message: 'is not a known key',
+      };
+    });
+}
+
+/**
+ * Describes a problem found by validateConfig().
+ *
+ * The file is only named for configs read from a known file, such as the
+ * files of a .probo directory or included files.
+ *
+ * @param {{path: string, file: ?string, line: ?number, message: string}} error
+ *   - The problem.
+ * @return {string} - The description.
+ */
+function formatError(error) {
+  let position = '';
+
+  if (error.line) {
+    position = error.file ? ` (${error.file} line ${error.line})` : ` (line ${error.line})`;
+  }
+
+  return `${error.path}${position} ${error.message}`;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  loadYaml,
+  validateConfig,
+  findUnknownKeys,
+  formatError,
+};
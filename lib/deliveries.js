@@ -0,0 +1,219 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * @class
+ *
+ * Remembers webhook deliveries in memory for a limited time so that retried
+ * deliveries can be recognized.
+ */
+class MemoryDeliveryStore {
+
+  /**
+   * @param {Object} [options] - Settings for the store.
+   * @param {number} [options.ttl=86400] - How long to remember a delivery, in
+   *   seconds.
+   */
+  constructor(options) {
+    options = options || {};
+
+    this.ttl = (options.ttl || 86400) * 1000;
+    this.deliveries = {};
+  }
+
+  /**
+   * Records a delivery unless it was already recorded.
+   *
+   * @param {string} key - The key identifying the delivery.
+   * @param {Function} cb - Called with an error and whether the delivery is
+   *   new.
+   */
+  add(key, cb) {
+    const now = Date.now();
+    this.purge(now);
+
+    if (this.deliveries[key]) {
+      return cb(null, false);
+    }
+
+    this.deliveries[key] = now + this.ttl;
+    this.save((err) => {
+      cb(err, true);
+    });
+  }
+
+  /**
+   * Forgets a delivery, so that it is handled if GitLab delivers it again.
+   *
+   * @param {string} key - The key identifying the delivery.
+   * @param {Function} cb - The callback to call when forgotten.
+   */
+  remove(key, cb) {
+    delete this.deliveries[key];
+    this.save(cb);
+  }
+
+  /**
+   * Forgets the deliveries whose time to live has passed.
+   *
+   * @param {number} now - The current time, in milliseconds.
+   */
+  purge(now) {
+    Object.keys(this.deliveries).forEach((key) => {
+      if (this.deliveries[key] <= now) {
+        delete this.deliveries[key];
+      }
+    });
+  }
+
+  /**
+   * Persists the deliveries. Nothing to do for an in-memory store.
+   *
+   * @param {Function} cb - The callback to call when saved.
+   */
+  save(cb) {
+    cb(null);
+  }
+}
+
+/**
+ * @class
+ *
+ * Remembers webhook deliveries in a JSON file so they survive a restart.
+ */
+class FileDeliveryStore extends MemoryDeliveryStore {
+
+  /**
+   * @param {Object} options - Settings for the store.
+   * @param {string} options.path - The path of the JSON file.
+   * @param {number} [options.ttl=86400] - How long to remember a delivery, in
+   *   seconds.
+   */
+  constructor(options) {
+    super(options);
+
+    if (!options.path) {
+      throw new Error('The file delivery store needs a path');
+    }
+
+    this.path = options.path;
+    this.writing = false;
+    this.pending = [];
+
+    try {
+      this.deliveries = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    }
+    catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Writes the deliveries to the file.
+   *
+   * Saves requested while a write is in progress are batched into the next
+   * write.
+   *
+   * @param {Function} cb - The callback to call when saved.
+   */
+  save(cb) {
+    this.pending.push(cb);
+
+    if (!this.writing) {
+      this.write();
+    }
+  }
+
+  /**
+   * Replaces the file with the current deliveries.
+   *
+   * The file is written next to its final path and then renamed, so a crash
+   * never leaves it half-written.
+   */
+  write() {
+    const callbacks = this.pending;
+    const tmpPath = `${this.path}.tmp`;
+
+    this.pending = [];
+    this.writing = true;
+
+    const done = (err) => {
+      this.writing = false;
+
+      callbacks.forEach((cb) => {
+        cb(err);
+      });
+
+      if (this.pending.length) {
+        this.write();
+      }
+    };
+
+    fs.writeFile(tmpPath, JSON.stringify(this.deliveries), (err) => {
+      if (err) {
+        return done(err);
+      }
+
+      fs.rename(tmpPath, this.path, done);
+    });
+  }
+}
+
+/**
+ * Creates a delivery store.
+ *
+ * @param {Object} [options] - Settings for the store.
+ * @param {string} [options.type=memory] - Either `memory` or `file`.
+ * @return {MemoryDeliveryStore} - The store.
+ */
+function createDeliveryStore(options) {
+  options = options || {};
+
+  if (options.type === 'file') {
+    return new FileDeliveryStore(options);
+  }
+
+  return new MemoryDeliveryStore(options);
+}
+
+/**
+ * Derives a key for a webhook delivery GitLab did not give a UUID to.
+ *
+ * The key is a hash of the event type, the project, the ref and sha and the
+ * object the event is about, so the same event always gets the same key. The
+ * ref tells apart pushes of several branches or tags at one sha. The update
+ * time and changes of the object tell apart separate updates at the same sha,
+ * such as adding a label and then editing the title.
+ *
+ * @param {Object} payload - The webhook payload.
+ * @return {string} - The key.
+ */
+function deliveryKey(payload) {
+  const attributes = payload.object_attributes || {};
+  const lastCommit = attributes.last_commit || {};
+  const project = payload.project || {};
+
+  const parts = [
+    payload.object_kind,
+    attributes.action,
+    project.id || payload.project_id,
+    payload.ref,
+    lastCommit.id || payload.after,
+    attributes.id,
+    attributes.updated_at,
+    payload.changes,
+  ];
+
+  return crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex');
+}
+
+module.exports = {
+  MemoryDeliveryStore,
+  FileDeliveryStore,
+  createDeliveryStore,
+  deliveryKey,
+};
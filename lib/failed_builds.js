@@ -0,0 +1,184 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Gets what identifies the build of a request, so a build that fails again
+ * replaces the entry of its earlier failure.
+ *
+ * @param {Object} request - The request the build was created from.
+ * @param {Object} project - The project of the build.
+ * @return {string} - The project id, sha and type of the build.
+ */
+function buildKey(request, project) {
+  return [project.id, request.sha, request.type].join(':');
+}
+
+/**
+ * @class
+ *
+ * Keeps build submissions the coordinator did not accept so they can be
+ * inspected and replayed later.
+ *
+ * When a directory is given, each failed build is kept in a JSON file there
+ * so failed builds survive a restart.
+ */
+class FailedBuildStore {
+
+  /**
+   * @param {Object} [options] - Settings for the store.
+   * @param {string} [options.path] - The directory to keep failed builds in.
+   *   Failed builds are only kept in memory without one.
+   * @param {import('bunyan')} logger - The logger.
+   */
+  constructor(options, logger) {
+    options = options || {};
+
+    this.path = options.path;
+    this.logger = logger.child({component: 'failed-builds'});
+    this.entries = {};
+
+    if (this.path) {
+      fs.mkdirSync(this.path, {recursive: true});
+
+      fs.readdirSync(this.path)
+        .filter((name) => name.endsWith('.json'))
+        .forEach((name) => {
+          try {
+            const entry = JSON.parse(fs.readFileSync(path.join(this.path, name), 'utf8'));
+            this.entries[entry.id] = entry;
+          }
+          catch (err) {
+            this.logger.error({err: err, file: name}, 'Could not read failed build');
+          }
+        });
+    }
+  }
+
+  /**
+   * Records a failed build submission. An earlier failure of the same build
+   * is replaced.
+   *
+   * The OAuth tokens of the project are not kept. They are looked up again
+   * when the build is replayed.
+   *
+   * @param {Object} request - The request the build was created from.
+   * @param {Object} project - The project of the build.
+   * @param {Object} config - The Probo config of the build.
+   * @param {Error} error - Why the submission failed.
+   * @param {Function} cb - Called with an error and the new entry.
+   */
+  add(request, project, config, error, cb) {
+    const storedProject = Object.assign({}, project);
+    delete storedProject.service_auth;
+
+    const key = buildKey(request, project);
+    const earlier = this.find(request, project);
+
+    const entry = {
+      id: earlier ? earlier.id : `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+      key: key,
+      failedAt: new Date().toISOString(),
+      attempts: 0,
+      error: error.message,
+      request: request,
+      project: storedProject,
+      config: config,
+    };
+
+    this.update(entry, (err) => {
+      cb(err, entry);
+    });
+  }
+
+  /**
+   * Saves changes to an entry.
+   *
+   * @param {Object} entry - The entry.
+   * @param {Function} cb - The callback to call when saved.
+   */
+  update(entry, cb) {
+    this.entries[entry.id] = entry;
+
+    if (!this.path) {
+      return cb(null);
+    }
+
+    const file = this.file(entry.id);
+    const tmpFile = `${file}.tmp`;
+
+    fs.writeFile(tmpFile, JSON.stringify(entry), (err) => {
+      if (err) {
+        return cb(err);
+      }
+
+      fs.rename(tmpFile, file, cb);
+    });
+  }
+
+  /**
+   * Forgets an entry.
+   *
+   * @param {string} id - The id of the entry.
+   * @param {Function} cb - The callback to call when removed.
+   */
+  remove(id, cb) {
+    delete this.entries[id];
+
+    if (!this.path) {
+      return cb(null);
+    }
+
+    fs.unlink(this.file(id), (err) => {
+      cb(err && err.code !== 'ENOENT' ? err : null);
+    });
+  }
+
+  /**
+   * Gets an entry.
+   *
+   * @param {string} id - The id of the entry.
+   * @return {Object} - The entry, if there is one.
+   */
+  get(id) {
+    return this.entries[id];
+  }
+
+  /**
+   * Gets the entry of the build of a request.
+   *
+   * @param {Object} request - The request the build was created from.
+   * @param {Object} project - The project of the build.
+   * @return {Object} - The entry, if there is one.
+   */
+  find(request, project) {
+    const key = buildKey(request, project);
+
+    return this.list().find((entry) => entry.key === key);
+  }
+
+  /**
+   * Lists all entries, oldest first.
+   *
+   * @return {Array.<Object>} - The entries.
+   */
+  list() {
+    return Object.keys(this.entries)
+      .sort()
+      .map((id) => this.entries[id]);
+  }
+
+  /**
+   * Gets the path of the file of an entry.
+   *
+   * @param {string} id - The id of the entry.
+   * @return {string} - The path.
+   */
+  file(id) {
+    return path.join(this.path, `${path.basename(id)}.json`);
+  }
+}
+
+module.exports = FailedBuildStore;
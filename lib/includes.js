@@ -0,0 +1,159 @@
+'use strict';
+
+const async = require('async');
+
+const {isPlainObject, deepMerge} = require('./merge');
+const {inheritPosition} = require('./positions');
+
+/**
+ * How many levels of includes are followed unless configured otherwise.
+ */
+const DEFAULT_MAX_DEPTH = 5;
+
+/**
+ * Turns the `include` entry of a config into the sources to load.
+ *
+ * An entry is a path in the same repository, `{local: path}`,
+ * `{project: 'group/name', ref: 'main', file: path or list of paths}` or
+ * `{template: name}`. Local paths are relative to the root of the repository
+ * of the including file.
+ *
+ * @param {any} include - The `include` entry.
+ * @param {Object} parent - The source of the including file.
+ * @return {Object[]} - The sources, in the order they are merged.
+ */
+function parseIncludes(include, parent) {
+  const sources = [];
+
+  [].concat(include).forEach((entry) => {
+    if (typeof entry === 'string') {
+      entry = {local: entry};
+    }
+
+    if (!isPlainObject(entry)) {
+      throw new Error(`Invalid include: ${JSON.stringify(entry)}`);
+    }
+
+    if (typeof entry.template === 'string') {
+      if (!/^[\w-]+$/.test(entry.template)) {
+        throw new Error(`Invalid template name: ${entry.template}`);
+      }
+
+      sources.push({type: 'template', name: entry.template});
+    }
+    else if (typeof entry.local === 'string') {
+      if (parent.type === 'template') {
+        throw new Error(`Template ${parent.name} cannot include local files`);
+      }
+
+      sources.push({type: 'local', repo: parent.repo, ref: parent.ref, file: entry.local.replace(/^\/+/, '')});
+    }
+    else if (typeof entry.project === 'string' && entry.file) {
+      [].concat(entry.file).forEach((file) => {
+        sources.push({
+          type: 'project',
+          repo: entry.project,
+          ref: entry.ref ? String(entry.ref) : 'HEAD',
+          file: String(file).replace(/^\/+/, ''),
+        });
+      });
+    }
+    else {
+      throw new Error(`Invalid include: ${JSON.stringify(entry)}`);
+    }
+  });
+
+  return sources;
+}
+
+/**
+ * Describes a source in error messages.
+ *
+ * @param {Object} source - The source.
+ * @return {string} - The description, also used to detect cycles.
+ */
+function describeSource(source) {
+  if (source.type === 'template') {
+    return `template ${source.name}`;
+  }
+
+  return `${source.repo}@${source.ref}:${source.file}`;
+}
+
+/**
+ * Replaces the includes of a config with the configs they include.
+ *
+ * Included configs are deep merged in the order they are listed and the
+ * including config is merged over them, so its own settings win. Includes of
+ * included configs are resolved the same way.
+ *
+ * @param {Object} config - The config.
+ * @param {Object} source - Where the config was loaded from.
+ * @param {(source: Object, cb: Function) => void} load - Loads the config of
+ *   a source.
+ * @param {Object} [options] - Settings for the includes.
+ * @param {number} [options.maxDepth=5] - How many levels of includes are
+ *   followed.
+ * @param {(err: Error, [config]: Object) => void} cb - Called with the
+ *   resolved config.
+ */
+function resolveIncludes(config, source, load, options, cb) {
+  options = options || {};
+
+  const maxDepth = options.maxDepth || DEFAULT_MAX_DEPTH;
+
+  const resolve = (config, source, chain, done) => {
+    if (!isPlainObject(config) || typeof config.include === 'undefined') {
+      return done(null, config);
+    }
+
+    let sources;
+
+    try {
+      sources = parseIncludes(config.include, source);
+    }
+    catch (err) {
+      return done(new Error(`${describeSource(source)}: ${err.message}`));
+    }
+
+    if (chain.length > maxDepth) {
+      return done(new Error(`Includes are nested more than ${maxDepth} levels deep: ${chain.join(' -> ')}`));
+    }
+
+    async.mapSeries(sources, (included, next) => {
+      const name = describeSource(included);
+
+      if (chain.indexOf(name) !== -1) {
+        return next(new Error(`Include cycle: ${chain.concat(name).join(' -> ')}`));
+      }
+
+      load(included, (err, includedConfig) => {
+        if (err) {
+          return next(new Error(`Failed to include ${name}: ${err.message}`));
+        }
+
+        if (!isPlainObject(includedConfig)) {
+          return next(new Error(`Failed to include ${name}: it is not a mapping`));
+        }
+
+        resolve(includedConfig, included, chain.concat(name), next);
+      });
+    }, (err, configs) => {
+      if (err) {
+        return done(err);
+      }
+
+      const own = inheritPosition(Object.assign({}, config), [config]);
+      delete own.include;
+
+      done(null, deepMerge(configs.reduce(deepMerge, {}), own));
+    });
+  };
+
+  resolve(config, source, [describeSource(source)], cb);
+}
+
+module.exports = {
+  parseIncludes,
+  resolveIncludes,
+};
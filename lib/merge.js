@@ -0,0 +1,44 @@
+'use strict';
+
+const {inheritPosition} = require('./positions');
+
+/**
+ * Checks whether a value is a plain mapping rather than a list or a scalar.
+ *
+ * @param {any} value - The value.
+ * @return {boolean} - Whether the value is a plain object.
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep merges two configs without changing either of them.
+ *
+ * Mappings are merged key by key. Lists and scalars of the second config
+ * replace those of the first, so a list such as `steps` is always taken as a
+ * whole from the config that sets it last.
+ *
+ * @param {Object} base - The config to merge into.
+ * @param {Object} override - The config whose values win.
+ * @return {Object} - The merged config.
+ */
+function deepMerge(base, override) {
+  const merged = Object.assign({}, base);
+
+  Object.keys(override).forEach((key) => {
+    if (isPlainObject(merged[key]) && isPlainObject(override[key])) {
+      merged[key] = deepMerge(merged[key], override[key]);
+    }
+    else {
+      merged[key] = override[key];
+    }
+  });
+
+  return inheritPosition(merged, [base, override]);
+}
+
+module.exports = {
+  isPlainObject,
+  deepMerge,
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+const {isPlainObject, deepMerge} = require('./merge');
+const {matchesAny} = require('./patterns');
+const {inheritPosition} = require('./positions');
+
+/**
+ * The conditions an override can have. Each condition holds one value or a
+ * list of values, any of which matches.
+ */
+const CONDITIONS = ['event', 'branch', 'target_branch', 'labels'];
+
+/**
+ * Names an override for logs and the build record.
+ *
+ * @param {Object} override - The override.
+ * @param {number} index - Its position in the `overrides` list.
+ * @return {string} - The name.
+ */
+function overrideName(override, index) {
+  return typeof override.name === 'string' ? override.name : `overrides[${index}]`;
+}
+
+/**
+ * Checks whether an override applies to a build request.
+ *
+ * All conditions of the override must match. `branch` and `target_branch`
+ * are glob patterns, `labels` matches when the merge request has any of the
+ * labels.
+ *
+ * @param {Object} override - The override.
+ * @param {Object} request - The build request.
+ * @return {boolean} - Whether the override applies.
+ */
+function matchesOverride(override, request) {
+  const branch = request.branch && request.branch.name;
+  const targetBranch = request.pull_request && request.pull_request.target_branch;
+  const labels = request.labels || [];
+
+  if (override.event && [].concat(override.event).indexOf(request.type) === -1) {
+    return false;
+  }
+
+  if (override.branch && !matchesAny(branch, override.branch)) {
+    return false;
+  }
+
+  if (override.target_branch && !matchesAny(targetBranch, override.target_branch)) {
+    return false;
+  }
+
+  if (override.labels && ![].concat(override.labels).some((label) => labels.indexOf(label) !== -1)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Deep merges the overrides of a config that apply to a build request into
+ * the config, in the order they are listed.
+ *
+ * @param {Object} config - The config, with its `overrides` section.
+ * @param {Object} request - The build request.
+ * @return {{config: Object, applied: string[]}} - The config without its
+ *   `overrides` section and the names of the overrides that were applied.
+ */
+function applyOverrides(config, request) {
+  if (typeof config.overrides === 'undefined') {
+    return {config: config, applied: []};
+  }
+
+  if (!Array.isArray(config.overrides)) {
+    throw new Error('overrides must be a list');
+  }
+
+  const applied = [];
+  let merged = inheritPosition(Object.assign({}, config), [config]);
+  delete merged.overrides;
+
+  config.overrides.forEach((override, index) => {
+    if (!isPlainObject(override) || !isPlainObject(override.config)) {
+      throw new Error(`overrides[${index}] must be a mapping with a config mapping`);
+    }
+
+    const unknown = Object.keys(override)
+      .filter((key) => ['name', 'config'].concat(CONDITIONS).indexOf(key) === -1);
+
+    if (unknown.length) {
+      throw new Error(`overrides[${index}] has unknown conditions: ${unknown.join(', ')}`);
+    }
+
+    if (matchesOverride(override, request)) {
+      merged = deepMerge(merged, override.config);
+      applied.push(overrideName(override, index));
+    }
+  });
+
+  return {config: merged, applied: applied};
+}
+
+module.exports = {
+  matchesOverride,
+  applyOverrides,
+};
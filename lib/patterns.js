@@ -0,0 +1,41 @@
+'use strict';
+
+const minimatch = require('minimatch');
+
+/**
+ * Checks whether a branch or tag name matches any of a list of glob patterns.
+ *
+ * @param {string} name - The branch or tag name.
+ * @param {string|string[]} [patterns] - A glob pattern or a list of them.
+ * @return {boolean} - Whether the name matches at least one pattern.
+ */
+function matchesAny(name, patterns) {
+  if (!name || !patterns) {
+    return false;
+  }
+
+  return [].concat(patterns).some(pattern => minimatch(name, String(pattern)));
+}
+
+/**
+ * Checks whether a file path matches any of a list of glob patterns.
+ *
+ * Unlike branch names, paths also match patterns through dot files and
+ * directories, so `**\/*.md` matches `.gitlab/README.md`.
+ *
+ * @param {string} path - The path, relative to the root of the repository.
+ * @param {string|string[]} [patterns] - A glob pattern or a list of them.
+ * @return {boolean} - Whether the path matches at least one pattern.
+ */
+function matchesAnyPath(path, patterns) {
+  if (!path || !patterns) {
+    return false;
+  }
+
+  return [].concat(patterns).some(pattern => minimatch(path, String(pattern), {dot: true}));
+}
+
+module.exports = {
+  matchesAny,
+  matchesAnyPath,
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * Where the mappings and lists of configs were read from, used to report the
+ * lines of invalid keys.
+ *
+ * The position of a mapping or list holds its file and line, and the file and
+ * line of each of its keys or items as `entries`. Configs merged from several
+ * files keep the positions of the values they were merged from.
+ */
+const positions = new WeakMap();
+
+/**
+ * Gets the position of a mapping or list.
+ *
+ * @param {any} value - The value.
+ * @return {?{file: ?string, line: number, entries: (Object|Array)}} - The
+ *   position, or null if it is not known.
+ */
+function getPosition(value) {
+  if (value === null || typeof value !== 'object') {
+    return null;
+  }
+
+  return positions.get(value) || null;
+}
+
+/**
+ * Records the position of a mapping or list.
+ *
+ * @param {Object|Array} value - The value.
+ * @param {{file: ?string, line: number, entries: (Object|Array)}} position -
+ *   Its position.
+ */
+function setPosition(value, position) {
+  positions.set(value, position);
+}
+
+/**
+ * Gives a mapping or list made from others the positions of their entries.
+ *
+ * The entries of a list are the items of the lists it was concatenated from.
+ * The keys of a mapping are where they were last set.
+ *
+ * @param {Object|Array} target - The new mapping or list.
+ * @param {Array.<(Object|Array)>} sources - The values it was made from, in
+ *   the order they were merged.
+ * @return {Object|Array} - The target.
+ */
+function inheritPosition(target, sources) {
+  const found = sources.map(getPosition).filter(Boolean);
+
+  if (!found.length) {
+    return target;
+  }
+
+  const last = found[found.length - 1];
+  let entries;
+
+  if (Array.isArray(target)) {
+    // Lists without a position still take up their places among the items.
+    entries = [].concat(...sources.map((source) => {
+      const position = getPosition(source);
+      return position ? position.entries : source.map(() => null);
+    }));
+  }
+  else {
+    entries = Object.assign({}, ...found.map((position) => position.entries));
+  }
+
+  setPosition(target, {file: last.file, line: last.line, entries: entries});
+
+  return target;
+}
+
+module.exports = {
+  getPosition,
+  setPosition,
+  inheritPosition,
+};
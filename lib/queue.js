@@ -0,0 +1,305 @@
+'use strict';
+
+const async = require('async');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @class
+ *
+ * A work queue that runs jobs in the background with a pool of workers and
+ * retries failed jobs with an exponential backoff.
+ *
+ * When a directory is given, each job is kept in a JSON file there until it
+ * is done, so queued jobs survive a restart. Jobs that still fail after the
+ * last attempt are moved to a `failed` subdirectory, which keeps the latest
+ * ones only.
+ */
+class WorkQueue {
+
+  /**
+   * @param {Function} worker - Called with the data of a job and a callback
+   *   to call when the job is done.
+   * @param {Object} [options] - Settings for the queue.
+   * @param {string} [options.path] - The directory to keep jobs in. Jobs are
+   *   only kept in memory without one.
+   * @param {number} [options.concurrency=2] - How many jobs run at once.
+   * @param {number} [options.maxAttempts=5] - How many times a job is tried.
+   * @param {number} [options.retryDelay=5000] - The delay before the first
+   *   retry, in milliseconds. It doubles on each retry.
+   * @param {number} [options.maxRetryDelay=300000] - The longest delay before
+   *   a retry, in milliseconds.
+   * @param {number} [options.maxFailed=1000] - How many failed jobs are kept.
+   * @param {import('bunyan')} logger - The logger.
+   */
+  constructor(worker, options, logger) {
+    options = options || {};
+
+    this.worker = worker;
+    this.path = options.path;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryDelay = options.retryDelay || 5000;
+    this.maxRetryDelay = options.maxRetryDelay || 300000;
+    this.maxFailed = options.maxFailed || 1000;
+    this.logger = logger.child({component: 'work-queue'});
+    this.timers = [];
+
+    this.queue = async.queue(this.run.bind(this), options.concurrency || 2);
+  }
+
+  /**
+   * Creates the queue directory and requeues the jobs left in it.
+   */
+  start() {
+    if (!this.path) {
+      return;
+    }
+
+    fs.mkdirSync(path.join(this.path, 'failed'), {recursive: true});
+
+    fs.readdirSync(this.path)
+      .filter((name) => name.endsWith('.json'))
+      .sort()
+      .forEach((name) => {
+        try {
+          const job = JSON.parse(fs.readFileSync(path.join(this.path, name), 'utf8'));
+
+          this.logger.info({job: job.id, attempts: job.attempts}, 'Requeuing job');
+          this.schedule(job);
+        }
+        catch (err) {
+          this.logger.error({err: err, file: name}, 'Could not read queued job');
+        }
+      });
+  }
+
+  /**
+   * Stops scheduling retries.
+   */
+  stop() {
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers = [];
+  }
+
+  /**
+   * Adds a job to the queue.
+   *
+   * @param {Object} data - The data passed to the worker.
+   * @param {Function} cb - Called with an error and the job once the job is
+   *   safely queued.
+   */
+  push(data, cb) {
+    const job = {
+      id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+      data: data,
+      attempts: 0,
+      notBefore: 0,
+    };
+
+    this.save(job, (err) => {
+      if (err) {
+        return cb(err);
+      }
+
+      this.schedule(job);
+      cb(null, job);
+    });
+  }
+
+  /**
+   * Hands a job to the workers once it is due.
+   *
+   * @param {Object} job - The job.
+   */
+  schedule(job) {
+    const delay = job.notBefore - Date.now();
+
+    if (delay <= 0) {
+      return this.queue.push(job);
+    }
+
+    const timer = setTimeout(() => {
+      this.timers.splice(this.timers.indexOf(timer), 1);
+      this.queue.push(job);
+    }, delay);
+
+    // Pending retries should not keep the process alive.
+    timer.unref();
+    this.timers.push(timer);
+  }
+
+  /**
+   * Runs a job and retries it if it fails.
+   *
+   * @param {Object} job - The job.
+   * @param {Function} done - Called when the worker is free again.
+   */
+  run(job, done) {
+    let finished = false;
+
+    const finish = (err) => {
+      // A worker that throws after calling back must not finish the job twice.
+      if (!finished) {
+        finished = true;
+        this.finish(job, err, done);
+      }
+    };
+
+    job.attempts++;
+
+    // A job whose data makes the worker throw would otherwise crash the
+    // process, and again on every restart since its file is requeued.
+    try {
+      this.worker(job.data, finish);
+    }
+    catch (err) {
+      finish(err);
+    }
+  }
+
+  /**
+   * Removes a job that succeeded, or schedules a retry of a job that failed
+   * unless it has no attempts left.
+   *
+   * @param {Object} job - The job.
+   * @param {Error} [err] - Why the job failed.
+   * @param {Function} done - Called when the worker is free again.
+   */
+  finish(job, err, done) {
+    if (!err) {
+      this.remove(job, done);
+      return;
+    }
+
+    if (job.attempts >= this.maxAttempts) {
+      this.logger.error({err: err, job: job.id, attempts: job.attempts}, 'Job failed, giving up');
+      this.fail(job, done);
+      return;
+    }
+
+    const delay = Math.min(this.retryDelay * Math.pow(2, job.attempts - 1), this.maxRetryDelay);
+    job.notBefore = Date.now() + delay;
+
+    this.logger.warn({err: err, job: job.id, attempts: job.attempts, delay: delay}, 'Job failed, retrying');
+
+    this.save(job, (err) => {
+      if (err) {
+        this.logger.error({err: err, job: job.id}, 'Could not save job');
+      }
+
+      this.schedule(job);
+      done();
+    });
+  }
+
+  /**
+   * Writes a job to the queue directory.
+   *
+   * @param {Object} job - The job.
+   * @param {Function} cb - The callback to call when saved.
+   */
+  save(job, cb) {
+    if (!this.path) {
+      return cb(null);
+    }
+
+    const file = this.file(job);
+    const tmpFile = `${file}.tmp`;
+
+    fs.writeFile(tmpFile, JSON.stringify(job), (err) => {
+      if (err) {
+        return cb(err);
+      }
+
+      fs.rename(tmpFile, file, cb);
+    });
+  }
+
+  /**
+   * Removes a finished job from the queue directory.
+   *
+   * @param {Object} job - The job.
+   * @param {Function} cb - The callback to call when removed.
+   */
+  remove(job, cb) {
+    if (!this.path) {
+      return cb();
+    }
+
+    fs.unlink(this.file(job), (err) => {
+      if (err) {
+        this.logger.error({err: err, job: job.id}, 'Could not remove finished job');
+      }
+
+      cb();
+    });
+  }
+
+  /**
+   * Moves a job that failed for good to the `failed` subdirectory.
+   *
+   * @param {Object} job - The job.
+   * @param {Function} cb - The callback to call when moved.
+   */
+  fail(job, cb) {
+    if (!this.path) {
+      return cb();
+    }
+
+    fs.rename(this.file(job), path.join(this.path, 'failed', `${job.id}.json`), (err) => {
+      if (err) {
+        this.logger.error({err: err, job: job.id}, 'Could not move failed job');
+      }
+
+      this.pruneFailed(cb);
+    });
+  }
+
+  /**
+   * Deletes the oldest failed jobs beyond the ones to keep.
+   *
+   * @param {Function} cb - The callback to call when deleted.
+   */
+  pruneFailed(cb) {
+    const failedPath = path.join(this.path, 'failed');
+
+    fs.readdir(failedPath, (err, names) => {
+      if (err) {
+        this.logger.error({err: err}, 'Could not list failed jobs');
+        cb();
+        return;
+      }
+
+      // Job ids start with the time they were queued.
+      const old = names
+        .filter((name) => name.endsWith('.json'))
+        .sort()
+        .slice(0, -this.maxFailed);
+
+      async.each(
+        old,
+        (name, next) => fs.unlink(path.join(failedPath, name), (err) => {
+          if (err) {
+            this.logger.error({err: err, file: name}, 'Could not delete failed job');
+          }
+
+          next();
+        }),
+        () => cb()
+      );
+    });
+  }
+
+  /**
+   * Gets the path of the file of a job.
+   *
+   * @param {Object} job - The job.
+   * @return {string} - The path.
+   */
+  file(job) {
+    return path.join(this.path, `${job.id}.json`);
+  }
+}
+
+module.exports = WorkQueue;
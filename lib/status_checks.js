@@ -0,0 +1,159 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @class
+ *
+ * Keeps the GitLab external status checks that wait for a build, so they
+ * can be answered when the environment of the build is ready.
+ *
+ * Checks are forgotten after a while, since a build that never reports back
+ * should not keep them forever. When a path is given, the checks are kept in
+ * a JSON file there so they survive a restart.
+ */
+class StatusCheckStore {
+
+  /**
+   * @param {Object} [options] - Settings for the store.
+   * @param {string} [options.path] - The path of the JSON file. Checks are
+   *   only kept in memory without one.
+   * @param {number} [options.ttl=86400] - How long to wait for a build, in
+   *   seconds.
+   * @param {import('bunyan')} logger - The logger.
+   */
+  constructor(options, logger) {
+    options = options || {};
+
+    this.path = options.path;
+    this.ttl = (options.ttl || 86400) * 1000;
+    this.logger = logger.child({component: 'status-checks'});
+    this.checks = {};
+    this.writing = false;
+    this.pending = [];
+
+    if (this.path) {
+      fs.mkdirSync(path.dirname(this.path), {recursive: true});
+
+      try {
+        this.checks = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      }
+      catch (err) {
+        if (err.code !== 'ENOENT') {
+          this.logger.error({err: err, file: this.path}, 'Could not read waiting status checks');
+        }
+      }
+    }
+  }
+
+  /**
+   * Remembers the checks waiting for the build of a sha.
+   *
+   * The OAuth tokens of the project are not kept, the project of the build
+   * is used to answer the checks.
+   *
+   * @param {string} key - The GitLab project id and sha of the checks.
+   * @param {Object} checks - The checks.
+   * @param {Function} cb - The callback to call when saved.
+   */
+  add(key, checks, cb) {
+    const project = Object.assign({}, checks.project);
+    delete project.service_auth;
+
+    this.purge(Date.now());
+    this.checks[key] = Object.assign({}, checks, {
+      project: project,
+      expires: Date.now() + this.ttl,
+    });
+    this.save(cb);
+  }
+
+  /**
+   * Looks up the checks waiting for the build of a sha.
+   *
+   * @param {string} key - The GitLab project id and sha of the checks.
+   * @return {?Object} - The checks, or null if none are waiting.
+   */
+  get(key) {
+    this.purge(Date.now());
+
+    return this.checks[key] || null;
+  }
+
+  /**
+   * Forgets the checks of a sha once they are answered.
+   *
+   * @param {string} key - The GitLab project id and sha of the checks.
+   * @param {Function} cb - The callback to call when saved.
+   */
+  remove(key, cb) {
+    delete this.checks[key];
+    this.save(cb);
+  }
+
+  /**
+   * Forgets the checks that waited too long.
+   *
+   * @param {number} now - The current time, in milliseconds.
+   */
+  purge(now) {
+    Object.keys(this.checks).forEach((key) => {
+      if (this.checks[key].expires <= now) {
+        this.logger.info({key: key}, 'Status checks expired waiting for a build');
+        delete this.checks[key];
+      }
+    });
+  }
+
+  /**
+   * Writes the checks to the file. Saves requested while a write is in
+   * progress are batched into the next write.
+   *
+   * @param {Function} cb - The callback to call when saved.
+   */
+  save(cb) {
+    if (!this.path) {
+      cb(null);
+      return;
+    }
+
+    this.pending.push(cb);
+
+    if (!this.writing) {
+      this.write();
+    }
+  }
+
+  /**
+   * Replaces the file with the current checks, through a temporary file so a
+   * crash never leaves it half-written.
+   */
+  write() {
+    const callbacks = this.pending;
+    const tmpPath = `${this.path}.tmp`;
+
+    this.pending = [];
+    this.writing = true;
+
+    const done = (err) => {
+      this.writing = false;
+
+      callbacks.forEach((cb) => cb(err));
+
+      if (this.pending.length) {
+        this.write();
+      }
+    };
+
+    fs.writeFile(tmpPath, JSON.stringify(this.checks), (err) => {
+      if (err) {
+        return done(err);
+      }
+
+      fs.rename(tmpPath, this.path, done);
+    });
+  }
+}
+
+module.exports = StatusCheckStore;
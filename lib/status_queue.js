@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * @class
+ *
+ * Posts status updates one at a time for each project while posting for
+ * different projects at the same time, up to a global limit.
+ *
+ * An update that is still waiting when a newer update for the same sha and
+ * context arrives is replaced by the newer one, so only the latest state is
+ * posted when updates pile up.
+ */
+class StatusQueue {
+
+  /**
+   * @param {Function} worker - Called with an update and a callback to call
+   *   once it is posted.
+   * @param {Object} [options] - Settings for the queue.
+   * @param {number} [options.concurrency=4] - How many updates are posted at
+   *   once across all projects.
+   */
+  constructor(worker, options) {
+    options = options || {};
+
+    this.worker = worker;
+    this.concurrency = options.concurrency || 4;
+    this.running = 0;
+
+    // The waiting updates of each project that has updates waiting or posting.
+    this.pending = {};
+
+    // The projects with waiting updates and no update being posted, in the
+    // order they get their turn.
+    this.ready = [];
+  }
+
+  /**
+   * Queues an update.
+   *
+   * @param {string} key - The key of the serial queue, e.g. the project id.
+   * @param {string} coalesceKey - Waiting updates with the same coalesce key
+   *   are replaced, e.g. the sha and context.
+   * @param {Object} update - The update passed to the worker.
+   * @param {Function} cb - Called with the result of posting the update, or of
+   *   the update that replaced it.
+   */
+  push(key, coalesceKey, update, cb) {
+    let queue = this.pending[key];
+
+    if (!queue) {
+      queue = this.pending[key] = {tasks: []};
+      this.ready.push(key);
+    }
+
+    const waiting = queue.tasks.find((task) => task.coalesceKey === coalesceKey);
+
+    if (waiting) {
+      waiting.update = update;
+      waiting.callbacks.push(cb);
+    }
+    else {
+      queue.tasks.push({coalesceKey: coalesceKey, update: update, callbacks: [cb]});
+    }
+
+    this.process();
+  }
+
+  /**
+   * Starts posting updates until the global limit is reached.
+   */
+  process() {
+    while (this.running < this.concurrency && this.ready.length) {
+      this.run(this.ready.shift());
+    }
+  }
+
+  /**
+   * Posts the next update of a project.
+   *
+   * @param {string} key - The key of the serial queue.
+   */
+  run(key) {
+    const queue = this.pending[key];
+    const task = queue.tasks.shift();
+
+    this.running++;
+
+    this.worker(task.update, (...args) => {
+      this.running--;
+
+      if (queue.tasks.length) {
+        this.ready.push(key);
+      }
+      else {
+        delete this.pending[key];
+      }
+
+      task.callbacks.forEach((cb) => cb(...args));
+
+      this.process();
+    });
+  }
+
+  /**
+   * Counts the updates that are waiting to be posted.
+   *
+   * @return {number} - The number of updates.
+   */
+  length() {
+    return Object.keys(this.pending).reduce((count, key) => count + this.pending[key].tasks.length, 0);
+  }
+}
+
+module.exports = StatusQueue;
@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * The hidden marker that identifies the Probo summary comment of a merge
+ * request. The state of the summary follows it, base64 encoded so that nothing
+ * in it can end the HTML comment.
+ */
+const MARKER = 'probo:summary';
+
+/**
+ * The context whose link is the environment of the build.
+ */
+const ENVIRONMENT_CONTEXT = 'ProboCI/env';
+
+/**
+ * Icons shown next to the GitLab states.
+ */
+const STATE_ICONS = {
+  pending: '⏳',
+  running: '🔄',
+  success: '✅',
+  failed: '❌',
+  canceled: '⛔',
+};
+
+/**
+ * Reads the state of a summary comment.
+ *
+ * @param {string} [body] - The body of a comment.
+ * @return {?Object} - The state of the summary, or null if the comment is not
+ *   a summary comment.
+ */
+function parseSummary(body) {
+  const match = new RegExp(`<!-- ${MARKER} ([A-Za-z0-9+/=]*) -->`).exec(body || '');
+
+  if (!match) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(match[1], 'base64').toString('utf8'));
+  }
+  catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Records a status update in the state of a summary.
+ *
+ * The contexts of an earlier sha are dropped once a new sha is built.
+ *
+ * @param {?Object} summary - The current state, if there is a summary yet.
+ * @param {string} sha - The sha the status is for.
+ * @param {Object} statusInfo - The status posted to GitLab.
+ * @param {Date} now - The time of the update.
+ * @return {Object} - The new state.
+ */
+function updateSummary(summary, sha, statusInfo, now) {
+  if (!summary || summary.sha !== sha) {
+    summary = {sha: sha, contexts: {}};
+  }
+
+  summary.contexts[statusInfo.context] = {
+    state: statusInfo.state,
+    description: statusInfo.description,
+    url: statusInfo.target_url || null,
+  };
+
+  if (statusInfo.context === ENVIRONMENT_CONTEXT && statusInfo.target_url) {
+    summary.environmentUrl = statusInfo.target_url;
+  }
+
+  summary.updatedAt = now.toISOString();
+
+  return summary;
+}
+
+/**
+ * Makes text safe to put in a Markdown table cell.
+ *
+ * @param {string} [text] - The text.
+ * @return {string} - The escaped text.
+ */
+function cell(text) {
+  return (text || '').replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+}
+
+/**
+ * Renders the body of a summary comment.
+ *
+ * @param {Object} summary - The state of the summary.
+ * @return {string} - The Markdown body, starting with the hidden marker.
+ */
+function renderSummary(summary) {
+  const encoded = Buffer.from(JSON.stringify(summary), 'utf8').toString('base64');
+  const updatedAt = summary.updatedAt.replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+
+  const lines = [
+    `<!-- ${MARKER} ${encoded} -->`,
+    '### Probo environment',
+    '',
+    summary.environmentUrl ?
+      `**Environment:** ${summary.environmentUrl}` :
+      '**Environment:** not ready yet',
+    `**Commit:** ${summary.sha.substring(0, 8)}`,
+    `**Last update:** ${updatedAt}`,
+    '',
+    '| Context | State | Description |',
+    '| --- | --- | --- |',
+  ];
+
+  Object.keys(summary.contexts).sort().forEach((context) => {
+    const status = summary.contexts[context];
+    const name = status.url ? `[${cell(context)}](${status.url})` : cell(context);
+    const icon = STATE_ICONS[status.state] || '';
+
+    lines.push(`| ${name} | ${icon} ${cell(status.state)} | ${cell(status.description)} |`);
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  parseSummary,
+  updateSummary,
+  renderSummary,
+};
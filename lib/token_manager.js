@@ -0,0 +1,276 @@
+'use strict';
+
+const getCurrentLine = require('get-current-line').default;
+const request = require('superagent');
+
+const Mail = require('./mail');
+
+/**
+ * Works out when OAuth tokens expire.
+ *
+ * @param {number} [createdAt] - When the tokens were created, in seconds since
+ *   the epoch.
+ * @param {number} [expiresIn] - How long the tokens are valid, in seconds.
+ * @return {?number} - When the tokens expire, in milliseconds since the epoch,
+ *   or null if it is not known.
+ */
+function expiresAt(createdAt, expiresIn) {
+  if (!expiresIn) {
+    return null;
+  }
+
+  return ((createdAt || Date.now() / 1000) + Number(expiresIn)) * 1000;
+}
+
+/**
+ * @class
+ *
+ * Keeps the GitLab OAuth tokens of projects and refreshes them without
+ * blocking the server.
+ *
+ * Tokens are read from the coordinator the first time a project needs them
+ * and kept in memory. They are refreshed when they are about to expire and
+ * when GitLab rejects them. Only one refresh runs at a time for a project:
+ * the requests that need tokens while it runs wait for its result, so a
+ * refresh token is never used twice.
+ */
+class TokenManager {
+
+  /**
+   * @param {Object} config - The handler settings, with the OAuth client and
+   *   coordinator settings.
+   * @param {Object} [config.tokens] - Settings for the token manager.
+   * @param {number} [config.tokens.refreshAhead=300] - How many seconds
+   *   before they expire tokens are refreshed.
+   * @param {import('bunyan')} logger - The logger.
+   */
+  constructor(config, logger) {
+    const options = config.tokens || {};
+
+    this.config = config;
+    this.logger = logger;
+    this.refreshAhead = (typeof options.refreshAhead === 'number' ? options.refreshAhead : 300) * 1000;
+
+    // The tokens of each project, by Probo project id.
+    this.tokens = {};
+
+    // The callbacks waiting for the load or refresh running for a project.
+    this.pending = {};
+  }
+
+  /**
+   * Gets the tokens of a project, refreshing them first if they are about to
+   * expire.
+   *
+   * Projects without a Probo project id, e.g. built from a user token, are
+   * not managed and their tokens are used as they are.
+   *
+   * @param {Object} project - The project.
+   * @param {(err: Error, [tokens]: {token: string, refreshToken: string}) => void} cb
+   *   - Called with the tokens.
+   */
+  getTokens(project, cb) {
+    const current = this.tokens[project.id];
+
+    if (!project.id) {
+      return cb(null, project.service_auth);
+    }
+
+    if (current && !this.expiresSoon(current)) {
+      return cb(null, current);
+    }
+
+    this.run(project, cb, (done) => {
+      if (!current) {
+        return this.loadTokens(project, null, done);
+      }
+
+      this.refreshTokens(project, current, (err, tokens) => {
+        // Tokens that failed to refresh ahead of time still work for a while.
+        if (err && current.expiresAt > Date.now()) {
+          return done(null, current);
+        }
+
+        done(err, tokens);
+      });
+    });
+  }
+
+  /**
+   * Gets new tokens for a project after GitLab rejected its token.
+   *
+   * The tokens may have been refreshed in the meantime, by this handler or by
+   * another one, in which case those tokens are used instead of refreshing
+   * again.
+   *
+   * @param {Object} project - The project.
+   * @param {string} rejected - The access token GitLab rejected.
+   * @param {(err: Error, [tokens]: {token: string, refreshToken: string}) => void} cb
+   *   - Called with the new tokens.
+   */
+  replaceRejectedTokens(project, rejected, cb) {
+    const current = this.tokens[project.id];
+
+    if (!project.id) {
+      return cb(new Error('GitLab rejected the token'));
+    }
+
+    if (current && current.token !== rejected) {
+      return cb(null, current);
+    }
+
+    this.run(project, cb, (done) => this.loadTokens(project, rejected, done));
+  }
+
+  /**
+   * Runs the load or refresh of the tokens of a project unless one is
+   * running already, in which case its result is waited for.
+   *
+   * @param {Object} project - The project.
+   * @param {Function} cb - Called with the tokens.
+   * @param {(done: Function) => void} task - Loads or refreshes the tokens.
+   */
+  run(project, cb, task) {
+    if (this.pending[project.id]) {
+      this.pending[project.id].push(cb);
+      return;
+    }
+
+    this.pending[project.id] = [cb];
+
+    task((err, tokens) => {
+      const callbacks = this.pending[project.id];
+      delete this.pending[project.id];
+
+      if (!err) {
+        this.tokens[project.id] = tokens;
+      }
+
+      callbacks.forEach((callback) => callback(err, tokens));
+    });
+  }
+
+  /**
+   * Reads the tokens of a project from the coordinator, and refreshes them if
+   * they are about to expire or were rejected.
+   *
+   * @param {Object} project - The project.
+   * @param {?string} rejected - The access token GitLab rejected, if any.
+   * @param {Function} cb - Called with the tokens.
+   */
+  loadTokens(project, rejected, cb) {
+    request
+      .get(`${this.config.api.url}/projects/tokens`)
+      .set('projectid', project.id)
+      .set('authorization', `Bearer ${this.config.api.token}`)
+      .end((err, res) => {
+        let tokens = project.service_auth;
+
+        if (err) {
+          this.logger.error({err: err, project: project.id}, 'Could not read the OAuth tokens of the project');
+        }
+        else {
+          tokens = {
+            token: res.body.oauthToken,
+            refreshToken: res.body.refreshToken,
+            expiresAt: expiresAt(res.body.createdAt, res.body.expiresIn),
+          };
+        }
+
+        if (tokens.token === rejected || this.expiresSoon(tokens)) {
+          return this.refreshTokens(project, tokens, cb);
+        }
+
+        cb(null, tokens);
+      });
+  }
+
+  /**
+   * Refreshes the tokens of a project with GitLab and saves them on the
+   * coordinator.
+   *
+   * @param {Object} project - The project.
+   * @param {Object} tokens - The current tokens.
+   * @param {Function} cb - Called with the new tokens.
+   */
+  refreshTokens(project, tokens, cb) {
+    const baseUrl = (project.provider && project.provider.baseUrl) || 'https://gitlab.com';
+
+    this.logger.info({project: project.id}, 'Refreshing the OAuth tokens of the project');
+
+    request
+      .post(`${baseUrl}/oauth/token`)
+      .type('form')
+      .send({
+        client_id: this.config.clientKey,
+        client_secret: this.config.clientSecret,
+        refresh_token: tokens.refreshToken,
+        grant_type: 'refresh_token',
+        redirect_uri: this.config.callbackURL,
+      })
+      .end((err, res) => {
+        if (err) {
+          this.reportRefreshError(project, err);
+          return cb(err);
+        }
+
+        const refreshed = {
+          token: res.body.access_token,
+          refreshToken: res.body.refresh_token,
+          expiresAt: expiresAt(res.body.created_at, res.body.expires_in),
+        };
+
+        request
+          .post(`${this.config.api.url}/projects/tokens`)
+          .set('oid', project.organizationId)
+          .set('token', refreshed.token)
+          .set('refreshtoken', refreshed.refreshToken)
+          .set('authorization', `Bearer ${this.config.api.token}`)
+          .end((err) => {
+            // The old refresh token no longer works, so the new tokens are
+            // used even if the coordinator did not save them.
+            if (err) {
+              this.logger.error({err: err, project: project.id}, 'Could not save the refreshed OAuth tokens');
+            }
+
+            cb(null, refreshed);
+          });
+      });
+  }
+
+  /**
+   * Checks whether tokens expire within the refresh margin.
+   *
+   * @param {Object} tokens - The tokens.
+   * @return {boolean} - Whether to refresh the tokens. Tokens whose expiry is
+   *   not known are used until GitLab rejects them.
+   */
+  expiresSoon(tokens) {
+    return Boolean(tokens.expiresAt) && tokens.expiresAt - Date.now() <= this.refreshAhead;
+  }
+
+  /**
+   * Sends an email about tokens that could not be refreshed.
+   *
+   * @param {Object} project - The project.
+   * @param {Error} err - The error.
+   */
+  reportRefreshError(project, err) {
+    this.logger.error({err: err, project: project.id}, 'Could not refresh the OAuth tokens of the project');
+
+    if (!this.config.mail) {
+      return;
+    }
+
+    new Mail(this.config, this.logger).send({
+      error_message: 'The access token could not be successfully refreshed. ',
+      subject: 'ProboCI Error: GitLab Access Token Refresh',
+      stack: getCurrentLine(),
+      email_type: 'Error',
+      email_system: 'Token Checking',
+      error: err,
+    });
+  }
+}
+
+module.exports = TokenManager;
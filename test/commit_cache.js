@@ -0,0 +1,66 @@
+'use strict';
+
+const should = require('should');
+const sinon = require('sinon');
+
+const CommitCache = require('../lib/commit_cache');
+
+describe('CommitCache', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(new Date('2026-10-19T09:30:00.000Z'));
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('counts hits and misses', () => {
+    let cache = new CommitCache();
+
+    should.not.exist(cache.get(1234, 'config:sha1'));
+    cache.set(1234, 'config:sha1', {config: {steps: []}});
+    cache.get(1234, 'config:sha1').value.should.eql({config: {steps: []}});
+    should.not.exist(cache.get(5678, 'config:sha1'));
+
+    cache.stats().should.eql({entries: 1, maxEntries: 1000, hits: 1, misses: 2, evictions: 0});
+  });
+
+  it('expires entries after the ttl', () => {
+    let cache = new CommitCache({ttl: 60});
+
+    cache.set(1234, 'commit:sha1', {sha: 'sha1'});
+    clock.tick(59999);
+    should.exist(cache.get(1234, 'commit:sha1'));
+    clock.tick(1);
+    should.not.exist(cache.get(1234, 'commit:sha1'));
+    cache.stats().entries.should.equal(0);
+  });
+
+  it('evicts the least recently used entry when full', () => {
+    let cache = new CommitCache({maxEntries: 2});
+
+    cache.set(1234, 'commit:sha1', 1);
+    cache.set(1234, 'commit:sha2', 2);
+    cache.get(1234, 'commit:sha1');
+    cache.set(1234, 'commit:sha3', 3);
+
+    should.exist(cache.get(1234, 'commit:sha1'));
+    should.not.exist(cache.get(1234, 'commit:sha2'));
+    should.exist(cache.get(1234, 'commit:sha3'));
+    cache.stats().evictions.should.equal(1);
+  });
+
+  it('drops the entries of a project', () => {
+    let cache = new CommitCache();
+
+    cache.set(1234, 'commit:sha1', 1);
+    cache.set(1234, 'config:sha1', 2);
+    cache.set(5678, 'config:sha1', 3);
+
+    cache.invalidate('1234').should.equal(2);
+    should.not.exist(cache.get(1234, 'config:sha1'));
+    should.exist(cache.get(5678, 'config:sha1'));
+  });
+});
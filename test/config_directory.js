@@ -0,0 +1,39 @@
+'use strict';
+
+require('should');
+
+const {sortConfigFiles, mergeConfigFiles} = require('../lib/config_directory');
+
+describe('config directory', () => {
+  it('merges the files of the directory before those of subdirectories', () => {
+    sortConfigFiles([
+      '.probo/steps/b.yml',
+      '.probo/z.yaml',
+      '.probo/steps/a.yml',
+      '.probo/basicAuth/prod.yml',
+      '.probo/a.yml',
+      '.probo/notes.txt',
+      'other/x.yml',
+    ]).should.eql([
+      '.probo/a.yml',
+      '.probo/z.yaml',
+      '.probo/basicAuth/prod.yml',
+      '.probo/steps/a.yml',
+      '.probo/steps/b.yml',
+    ]);
+  });
+
+  it('merges the mappings of a subdirectory into its key', () => {
+    mergeConfigFiles([
+      {path: '.probo/config.yml', config: {basicAuth: {username: 'probo'}, steps: [1]}},
+      {path: '.probo/empty.yml', config: null},
+      {path: '.probo/basicAuth/password.yml', config: {password: 'secret'}},
+      {path: '.probo/steps/more.yml', config: [2, 3]},
+    ]).should.eql({basicAuth: {username: 'probo', password: 'secret'}, steps: [1, 2, 3]});
+  });
+
+  it('refuses files that are not part of a config', () => {
+    (() => mergeConfigFiles([{path: '.probo/steps.yml', config: ['step']}]))
+      .should.throw('.probo/steps.yml must contain a mapping of settings');
+  });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+require('should');
+
+const {loadYaml, validateConfig, findUnknownKeys, formatError} = require('../lib/config_schema');
+const {mergeConfigFiles} = require('../lib/config_directory');
+const {resolveIncludes} = require('../lib/includes');
+const {applyOverrides} = require('../lib/overrides');
+
+describe('config schema', () => {
+  it('accepts a valid config', () => {
+    let config = loadYaml(`image: proboci/ubuntu:18.04-php7.2
+assets:
+  - dev.sql.gz
+steps:
+  - name: Probo site setup
+    plugin: LAMPApp
+branches: ['main', 'release/*']
+merged_result:
+  enabled: true
+x-anchors: &defaults
+  plugin: Script
+`);
+
+    validateConfig(config).should.eql([]);
+  });
+
+  it('reports invalid keys with their lines', () => {
+    let config = loadYaml(`steps:
+  - name: Probo site setup
+    plugin: LAMPApp
+  - name: Import
+    plugin:
+      - Drupal
+opt_in: 'yes'
+stpes: []
+`);
+
+    validateConfig(config).should.eql([
+      {path: 'steps[1].plugin', file: null, line: 5, message: 'should be string'},
+      {path: 'opt_in', file: null, line: 7, message: 'should be boolean'},
+    ]);
+  });
+
+  it('reports unknown nested keys', () => {
+    let config = loadYaml('overrides:\n  - brnch: main\n    config: {}\n');
+
+    validateConfig(config).map(formatError).should.eql(['overrides[0].brnch (line 2) is not a known key']);
+  });
+
+  it('finds unknown top-level keys without rejecting them', () => {
+    let config = loadYaml(`steps: []
+pullRequestBuilds: true
+stpes: []
+x-defaults: {}
+`, '.probo.yml');
+
+    validateConfig(config).should.eql([]);
+    findUnknownKeys(config).map(formatError).should.eql([
+      'pullRequestBuilds (.probo.yml line 2) is not a known key',
+      'stpes (.probo.yml line 3) is not a known key',
+    ]);
+  });
+
+  it('reports configs that are not mappings', () => {
+    let errors = validateConfig(loadYaml('- steps\n'));
+
+    errors.map(formatError).should.eql(['(root) (line 1) should be object']);
+  });
+
+  it('validates configs that were not loaded from YAML without lines', () => {
+    validateConfig({tags: 5}).should.eql([
+      {path: 'tags', file: null, line: null, message: 'should be string,array'},
+    ]);
+  });
+
+  it('keeps the lines of configs merged from includes and overrides', done => {
+    let own = loadYaml(`include:
+  project: proboci/shared
+  file: base.yml
+steps:
+  - name: Import
+    plugin: 7
+overrides:
+  - branch: main
+    config:
+      opt_in: 'yes'
+`, '.probo.yml');
+    let load = (source, cb) => cb(null, loadYaml('image: proboci/ubuntu:20.04\nassets:\n  - 5\n', 'proboci/shared:base.yml'));
+
+    resolveIncludes(own, {type: 'local', repo: 1234, ref: 'sha1', file: '.probo.yml'}, load, {}, (err, resolved) => {
+      let config = applyOverrides(resolved, {type: 'branch', branch: {name: 'main'}}).config;
+
+      validateConfig(config).map(formatError).should.eql([
+        'steps[0].plugin (.probo.yml line 6) should be string',
+        'opt_in (.probo.yml line 10) should be boolean',
+        'assets[0] (proboci/shared:base.yml line 3) should be string,object',
+      ]);
+
+      done(err);
+    });
+  });
+
+  it('keeps the lines of the files of a .probo directory', () => {
+    let config = mergeConfigFiles([
+      {path: '.probo/image.yml', config: loadYaml('image: 5\n', '.probo/image.yml')},
+      {path: '.probo/steps/10-database.yml', config: loadYaml('- name: Import\n  plugin: Script\n', '.probo/steps/10-database.yml')},
+      {path: '.probo/steps/20-drupal.yml', config: loadYaml('- name: Drupal\n  plugin: [Drupal]\n', '.probo/steps/20-drupal.yml')},
+    ]);
+
+    validateConfig(config).map(formatError).should.eql([
+      'image (.probo/image.yml line 1) should be string',
+      'steps[1].plugin (.probo/steps/20-drupal.yml line 2) should be string',
+    ]);
+  });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const should = require('should');
+
+const deliveries = require('../lib/deliveries');
+
+describe('deliveries', () => {
+  describe('MemoryDeliveryStore', () => {
+    it('only adds a delivery once', done => {
+      let store = new deliveries.MemoryDeliveryStore();
+
+      store.add('delivery1', (err, added) => {
+        should.not.exist(err);
+        added.should.equal(true);
+
+        store.add('delivery1', (err, added) => {
+          should.not.exist(err);
+          added.should.equal(false);
+
+          done();
+        });
+      });
+    });
+
+    it('forgets deliveries after their time to live', done => {
+      let store = new deliveries.MemoryDeliveryStore({ttl: 60});
+
+      store.add('delivery1', () => {
+        store.deliveries.delivery1 = Date.now() - 1;
+
+        store.add('delivery1', (err, added) => {
+          added.should.equal(true);
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('FileDeliveryStore', () => {
+    let file;
+
+    beforeEach(() => {
+      file = path.join(os.tmpdir(), `probo-deliveries-${process.pid}-${Date.now()}.json`);
+    });
+
+    afterEach(() => {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('remembers deliveries across instances', done => {
+      let store = deliveries.createDeliveryStore({type: 'file', path: file});
+
+      store.add('delivery1', (err, added) => {
+        should.not.exist(err);
+        added.should.equal(true);
+
+        let reloaded = deliveries.createDeliveryStore({type: 'file', path: file});
+        reloaded.add('delivery1', (err, added) => {
+          should.not.exist(err);
+          added.should.equal(false);
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('deliveryKey', () => {
+    it('derives the same key for the same event', () => {
+      let payload = require('./fixtures/push_payload');
+
+      deliveries.deliveryKey(payload).should.eql(deliveries.deliveryKey(JSON.parse(JSON.stringify(payload))));
+      deliveries.deliveryKey(payload).should.not.eql(deliveries.deliveryKey(require('./fixtures/pull_payload')));
+    });
+
+    it('tells apart separate updates of a merge request at the same sha', () => {
+      let labeled = JSON.parse(JSON.stringify(require('./fixtures/pull_payload')));
+      labeled.object_attributes.action = 'update';
+      labeled.object_attributes.updated_at = '2026-10-19 09:30:00 UTC';
+      labeled.changes = {labels: {previous: [], current: [{title: 'probo:build'}]}};
+
+      let retitled = JSON.parse(JSON.stringify(labeled));
+      retitled.object_attributes.updated_at = '2026-10-19 09:31:00 UTC';
+      retitled.changes = {title: {previous: 'WIP', current: 'Ready'}};
+
+      deliveries.deliveryKey(labeled).should.not.eql(deliveries.deliveryKey(retitled));
+    });
+
+    it('tells apart a push and a new branch at the same sha', () => {
+      let push = require('./fixtures/push_payload');
+
+      let created = JSON.parse(JSON.stringify(push));
+      created.ref = 'refs/heads/feature';
+      created.before = '0000000000000000000000000000000000000000';
+
+      deliveries.deliveryKey(push).should.not.eql(deliveries.deliveryKey(created));
+    });
+
+    it('tells apart tags pushed on the same commit', () => {
+      let tag = JSON.parse(JSON.stringify(require('./fixtures/push_payload')));
+      tag.object_kind = 'tag_push';
+      tag.ref = 'refs/tags/v1.0.0';
+
+      let other = JSON.parse(JSON.stringify(tag));
+      other.ref = 'refs/tags/stable';
+
+      deliveries.deliveryKey(tag).should.not.eql(deliveries.deliveryKey(other));
+    });
+  });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const bunyan = require('bunyan');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const should = require('should');
+
+const FailedBuildStore = require('../lib/failed_builds');
+
+const logger = bunyan.createLogger({name: 'tests', level: Number.POSITIVE_INFINITY});
+
+describe('FailedBuildStore', () => {
+  let dir;
+
+  let request = {type: 'branch', sha: '9a3b1c0', name: 'Update README'};
+  let project = {
+    id: '1234',
+    slug: 'proboci/testrepo',
+    service_auth: {token: 'testing'},
+  };
+
+  beforeEach(() => {
+    dir = path.join(os.tmpdir(), `probo-failed-builds-${process.pid}-${Date.now()}`);
+  });
+
+  afterEach(() => {
+    fs.rmdirSync(dir, {recursive: true});
+  });
+
+  it('keeps failed builds across instances without their tokens', done => {
+    let store = new FailedBuildStore({path: dir}, logger);
+
+    store.add(request, project, {steps: []}, new Error('connect ECONNREFUSED'), (err, entry) => {
+      should.not.exist(err);
+      entry.attempts.should.equal(0);
+      entry.error.should.equal('connect ECONNREFUSED');
+      should.not.exist(entry.project.service_auth);
+      project.service_auth.token.should.equal('testing');
+
+      let reloaded = new FailedBuildStore({path: dir}, logger);
+      reloaded.list().should.eql([entry]);
+      reloaded.get(entry.id).request.should.eql(request);
+
+      done();
+    });
+  });
+
+  it('skips stored builds it cannot read', done => {
+    let store = new FailedBuildStore({path: dir}, logger);
+
+    store.add(request, project, {steps: []}, new Error('Bad gateway'), (err, entry) => {
+      fs.writeFileSync(path.join(dir, 'corrupt.json'), '{"id": "half-wri');
+
+      new FailedBuildStore({path: dir}, logger).list().should.eql([entry]);
+
+      done();
+    });
+  });
+
+  it('replaces an earlier failure of the same build', done => {
+    let store = new FailedBuildStore({path: dir}, logger);
+
+    store.add(request, project, {steps: []}, new Error('connect ECONNREFUSED'), (err, first) => {
+      store.add(request, project, {steps: []}, new Error('Bad gateway'), (err, second) => {
+        should.not.exist(err);
+        second.id.should.equal(first.id);
+        store.find(request, project).should.equal(second);
+
+        let reloaded = new FailedBuildStore({path: dir}, logger);
+        reloaded.list().length.should.equal(1);
+        reloaded.list()[0].error.should.equal('Bad gateway');
+
+        done();
+      });
+    });
+  });
+
+  it('forgets removed builds', done => {
+    let store = new FailedBuildStore({path: dir}, logger);
+
+    store.add(request, project, {steps: []}, new Error('Bad gateway'), (err, entry) => {
+      store.remove(entry.id, (err) => {
+        should.not.exist(err);
+        store.list().should.eql([]);
+        new FailedBuildStore({path: dir}, logger).list().should.eql([]);
+
+        done();
+      });
+    });
+  });
+});
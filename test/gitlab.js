@@ -0,0 +1,410 @@
+'use strict';
+
+const bunyan = require('bunyan');
+const should = require('should');
+const sinon = require('sinon');
+
+const GitLab = require('../lib/GitLab');
+
+const logger = bunyan.createLogger({name: 'tests', level: Number.POSITIVE_INFINITY});
+
+function gitLabError(status, description, retryAfter) {
+  let error = new Error(`Request failed with status code ${status}`);
+  error.description = description;
+  error.response = {
+    status: status,
+    headers: {get: name => (name === 'retry-after' ? retryAfter : null)},
+  };
+
+  return error;
+}
+
+describe('GitLab', () => {
+  describe('postStatus', () => {
+    let gitlab;
+    let statuses;
+    let tokensMocked;
+    let replaceMocked;
+
+    let project = {
+      id: '1234',
+      provider_id: 1234,
+      owner: 'proboci',
+      repo: 'testrepo',
+      service_auth: {token: 'expired'},
+    };
+
+    before(() => {
+      gitlab = new GitLab({statusRetry: {maxAttempts: 3, retryDelay: 1}}, logger, logger);
+      tokensMocked = sinon.stub(gitlab.tokens, 'getTokens').yields(null, {token: 'expired'});
+      replaceMocked = sinon.stub(gitlab.tokens, 'replaceRejectedTokens').yields(null, {token: 'fresh'});
+    });
+
+    beforeEach(() => {
+      statuses = sinon.stub();
+      sinon.stub(gitlab, 'getApi').returns({Projects: {statuses: statuses}});
+    });
+
+    afterEach(() => {
+      gitlab.getApi.restore();
+      replaceMocked.resetHistory();
+    });
+
+    after(() => {
+      tokensMocked.restore();
+      replaceMocked.restore();
+    });
+
+    it('skips statuses GitLab cannot transition to', done => {
+      statuses.rejects(gitLabError(400, 'Cannot transition status via :drop from :success'));
+
+      gitlab.postStatus(project, 'sha1', {state: 'failed', context: 'ProboCI/env'}, (err) => {
+        should.not.exist(err);
+        statuses.calledOnce.should.equal(true);
+
+        done();
+      });
+    });
+
+    it('replaces the OAuth token once when GitLab answers 401', done => {
+      statuses.rejects(gitLabError(401, '401 Unauthorized'));
+      statuses.onSecondCall().resolves({id: 1});
+
+      gitlab.postStatus(project, 'sha1', {state: 'running', context: 'ProboCI/env'}, (err, res) => {
+        should.not.exist(err);
+        res.should.eql({id: 1});
+        replaceMocked.calledOnce.should.equal(true);
+        replaceMocked.args[0][1].should.equal('expired');
+        gitlab.getApi.args.map(args => args[1].token).should.eql(['expired', 'fresh']);
+
+        done();
+      });
+    });
+
+    it('gives up when a refreshed OAuth token is still rejected', done => {
+      statuses.rejects(gitLabError(401, '401 Unauthorized'));
+
+      gitlab.postStatus(project, 'sha1', {state: 'running', context: 'ProboCI/env'}, (err) => {
+        err.response.status.should.equal(401);
+        statuses.calledTwice.should.equal(true);
+
+        done();
+      });
+    });
+
+    it('retries after the delay GitLab asks for', done => {
+      statuses.onFirstCall().rejects(gitLabError(429, 'Rate limited', '0.02'));
+      statuses.onSecondCall().resolves({id: 1});
+
+      let started = Date.now();
+      gitlab.postStatus(project, 'sha1', {state: 'success', context: 'ProboCI/env'}, (err) => {
+        should.not.exist(err);
+        statuses.calledTwice.should.equal(true);
+        (Date.now() - started).should.be.aboveOrEqual(15);
+
+        done();
+      });
+    });
+
+    it('gives up on server errors after the last attempt', done => {
+      statuses.rejects(gitLabError(502, 'Bad Gateway'));
+
+      gitlab.postStatus(project, 'sha1', {state: 'success', context: 'ProboCI/env'}, (err) => {
+        err.response.status.should.equal(502);
+        statuses.calledThrice.should.equal(true);
+
+        done();
+      });
+    });
+
+    it('does not retry other errors', done => {
+      statuses.rejects(gitLabError(404, '404 Project Not Found'));
+
+      gitlab.postStatus(project, 'sha1', {state: 'success', context: 'ProboCI/env'}, (err) => {
+        err.response.status.should.equal(404);
+        statuses.calledOnce.should.equal(true);
+
+        done();
+      });
+    });
+  });
+
+  describe('deployEnvironment', () => {
+    let gitlab;
+    let requestMocked;
+
+    let project = {provider_id: 1234};
+    let environment = {
+      name: 'review/mr-1',
+      url: 'https://abc123.probo.build',
+      sha: 'sha1',
+      ref: 'feature/login',
+    };
+
+    beforeEach(() => {
+      gitlab = new GitLab({}, logger, logger);
+      sinon.stub(gitlab, 'getApi').returns({});
+      requestMocked = sinon.stub(gitlab, 'request').resolves({});
+    });
+
+    it('creates the environment the first time', done => {
+      requestMocked.onFirstCall().resolves([{id: 3, name: 'review/mr-2'}]);
+
+      gitlab.deployEnvironment(project, environment, (err) => {
+        should.not.exist(err);
+        requestMocked.args[1].slice(1).should.eql(['post', 'projects/1234/environments', {
+          body: {name: 'review/mr-1', external_url: 'https://abc123.probo.build'},
+        }]);
+        requestMocked.args[2][2].should.equal('projects/1234/deployments');
+        requestMocked.args[2][3].body.should.eql({
+          environment: 'review/mr-1',
+          sha: 'sha1',
+          ref: 'feature/login',
+          tag: false,
+          status: 'success',
+        });
+
+        done();
+      });
+    });
+
+    it('updates the URL of an existing environment', done => {
+      requestMocked.onFirstCall().resolves([{id: 3, name: 'review/mr-1'}]);
+
+      gitlab.deployEnvironment(project, environment, (err) => {
+        should.not.exist(err);
+        requestMocked.args[1].slice(1).should.eql(['put', 'projects/1234/environments/3', {
+          body: {external_url: 'https://abc123.probo.build'},
+        }]);
+
+        done();
+      });
+    });
+  });
+
+  describe('stopEnvironment', () => {
+    it('stops the environment if it is running', done => {
+      let gitlab = new GitLab({}, logger, logger);
+      sinon.stub(gitlab, 'getApi').returns({});
+      let requestMocked = sinon.stub(gitlab, 'request');
+      requestMocked.onFirstCall().resolves([{id: 3, name: 'review/mr-1', state: 'available'}]);
+      requestMocked.onSecondCall().resolves({id: 3, state: 'stopped'});
+
+      gitlab.stopEnvironment({provider_id: 1234}, 'review/mr-1', (err) => {
+        should.not.exist(err);
+        requestMocked.args[1].slice(1).should.eql(['post', 'projects/1234/environments/3/stop']);
+
+        done();
+      });
+    });
+  });
+
+  describe('fetchProboYamlConfig', () => {
+    let gitlab;
+    let tree;
+    let show;
+
+    let project = {id: '1234', provider_id: 1234, slug: 'proboci/testrepo'};
+
+    function file(path, content) {
+      return {file_path: path, content: Buffer.from(content).toString('base64')};
+    }
+
+    function blobs(...paths) {
+      return paths.map(path => ({id: `blob-${path}`, path: path, type: 'blob'}));
+    }
+
+    before(() => {
+      gitlab = new GitLab({includes: {maxDepth: 3, allowedProjects: ['proboci/shared']}}, logger, logger);
+    });
+
+    beforeEach(() => {
+      gitlab.cache.invalidate(1234);
+      tree = sinon.stub();
+      show = sinon.stub();
+      sinon.stub(gitlab, 'getApi').returns({Repositories: {tree: tree}, RepositoryFiles: {show: show}});
+    });
+
+    afterEach(() => {
+      gitlab.getApi.restore();
+    });
+
+    it('resolves includes from other projects and bundled templates', done => {
+      tree.resolves(blobs('.probo.yml', 'README.md'));
+      show.withArgs(1234, '.probo.yml', 'sha1').resolves(file('.probo.yml', `include:
+  - template: drupal
+  - project: proboci/shared
+    ref: v2
+    file: probo/base.yml
+image: proboci/ubuntu:20.04-php8.1
+`));
+      show.withArgs('proboci/shared', 'probo/base.yml', 'v2').resolves(file('probo/base.yml', `basicAuth:
+  username: probo
+  password: secret
+`));
+
+      gitlab.fetchProboYamlConfig(project, 'sha1', (err, config) => {
+        should.not.exist(err);
+        config.image.should.equal('proboci/ubuntu:20.04-php8.1');
+        config.assets.should.eql(['dev.sql.gz']);
+        config.steps[0].plugin.should.equal('Drupal');
+        config.basicAuth.should.eql({username: 'probo', password: 'secret'});
+        should.not.exist(config.include);
+
+        done();
+      });
+    });
+
+    it('only includes files of allowed projects with the handler token', done => {
+      tree.resolves(blobs('.probo.yml'));
+      show.withArgs(1234, '.probo.yml', 'sha1').resolves(file('.probo.yml', `include:
+  - project: acme/private
+    file: secrets.yml
+`));
+
+      gitlab.fetchProboYamlConfig(project, 'sha1', (err) => {
+        err.message.should.equal('Failed to include acme/private@HEAD:secrets.yml: Files of acme/private cannot be included by this project');
+        show.calledOnce.should.equal(true);
+
+        done();
+      });
+    });
+
+    it('merges the files of a .probo directory in order', done => {
+      tree.withArgs(1234, {ref: 'sha1'}).resolves(blobs('.probo', 'README.md'));
+      tree.withArgs(1234, {ref: 'sha1', path: '.probo', recursive: true}).resolves(blobs(
+        '.probo/steps/20-drupal.yml',
+        '.probo/steps/10-database.yml',
+        '.probo/image.yml',
+        '.probo/assets.yml',
+        '.probo/README.md'
+      ).concat({path: '.probo/steps', type: 'tree'}));
+      show.withArgs(1234, '.probo/image.yml', 'sha1').resolves(file('.probo/image.yml', 'image: proboci/ubuntu:20.04-php8.1\n'));
+      show.withArgs(1234, '.probo/assets.yml', 'sha1').resolves(file('.probo/assets.yml', 'assets:\n  - dev.sql.gz\n'));
+      show.withArgs(1234, '.probo/steps/10-database.yml', 'sha1').resolves(file('.probo/steps/10-database.yml', '- name: Import\n  plugin: Script\n'));
+      show.withArgs(1234, '.probo/steps/20-drupal.yml', 'sha1').resolves(file('.probo/steps/20-drupal.yml', '- name: Drupal\n  plugin: Drupal\n'));
+
+      gitlab.fetchProboYamlConfig(project, 'sha1', (err, config) => {
+        should.not.exist(err);
+        show.args.map(args => args[1]).should.eql([
+          '.probo/assets.yml',
+          '.probo/image.yml',
+          '.probo/steps/10-database.yml',
+          '.probo/steps/20-drupal.yml',
+        ]);
+        config.should.eql({
+          assets: ['dev.sql.gz'],
+          image: 'proboci/ubuntu:20.04-php8.1',
+          steps: [{name: 'Import', plugin: 'Script'}, {name: 'Drupal', plugin: 'Drupal'}],
+        });
+
+        done();
+      });
+    });
+
+    it('refuses repos with more than one config', done => {
+      tree.resolves(blobs('.probo', '.probo.yml', '.probo.yaml'));
+
+      gitlab.fetchProboYamlConfig(project, 'sha1', (err) => {
+        err.message.should.equal('Found more than one Probo config (.probo.yml, .probo.yaml, .probo), keep only one of them.');
+        show.called.should.equal(false);
+
+        done();
+      });
+    });
+
+    it('reports repos without a config', done => {
+      tree.resolves(blobs('README.md'));
+
+      gitlab.fetchProboYamlConfig(project, 'sha1', (err) => {
+        err.message.should.equal('No .probo.yml file was found.');
+
+        done();
+      });
+    });
+
+    it('caches configs and missing configs per sha', done => {
+      let sha1 = '9a3b1c0d2e4f6a8b0c1d2e3f4a5b6c7d8e9f0a1b';
+      let sha2 = '1f0e9d8c7b6a5f4e3d2c1b0a9f8e7d6c5b4a3f2e';
+
+      tree.withArgs(1234, {ref: sha1}).resolves(blobs('.probo.yml'));
+      tree.withArgs(1234, {ref: sha2}).resolves(blobs('README.md'));
+      show.resolves(file('.probo.yml', 'steps: []\n'));
+
+      let fetch = (sha, next) => gitlab.fetchProboYamlConfig(project, sha, next);
+
+      fetch(sha1, (err, config) => {
+        fetch(sha1, (err, cached) => {
+          cached.should.equal(config);
+
+          fetch(sha2, (err) => {
+            fetch(sha2, (cachedErr) => {
+              cachedErr.message.should.equal(err.message);
+              tree.callCount.should.equal(2);
+              show.callCount.should.equal(1);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('does not cache configs read at a ref', done => {
+      tree.onFirstCall().resolves(blobs('.probo.yml'));
+      tree.onSecondCall().resolves(blobs('README.md'));
+      show.resolves(file('.probo.yml', 'steps: []\n'));
+
+      gitlab.fetchProboYamlConfig(project, 'refs/merge-requests/1/head', (err, config) => {
+        config.should.eql({steps: []});
+
+        gitlab.fetchProboYamlConfig(project, 'refs/merge-requests/1/head', (err) => {
+          err.message.should.equal('No .probo.yml file was found.');
+          tree.callCount.should.equal(2);
+
+          done();
+        });
+      });
+    });
+
+    it('parses config files that did not change once', done => {
+      tree.resolves(blobs('.probo.yml'));
+      show.resolves(file('.probo.yml', 'steps: []\n'));
+
+      gitlab.fetchProboYamlConfig(project, 'sha1', () => {
+        gitlab.fetchProboYamlConfig(project, 'sha2', (err, config) => {
+          config.should.eql({steps: []});
+          tree.callCount.should.equal(2);
+          show.callCount.should.equal(1);
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('getMergeRequestChangedFiles', () => {
+    let gitlab;
+
+    before(() => {
+      gitlab = new GitLab({}, logger, logger);
+      sinon.stub(gitlab, 'getApi').returns({MergeRequests: {changes: sinon.stub().resolves({changes: [
+        {old_path: 'web/old.php', new_path: 'web/new.php'},
+        {old_path: 'README.md', new_path: 'README.md'},
+      ]})}});
+    });
+
+    after(() => {
+      gitlab.getApi.restore();
+    });
+
+    it('lists the old and new paths of renamed files', done => {
+      gitlab.getMergeRequestChangedFiles({provider_id: 1234}, 3, (err, paths) => {
+        should.not.exist(err);
+        paths.should.eql(['web/old.php', 'web/new.php', 'README.md']);
+
+        done();
+      });
+    });
+  });
+});
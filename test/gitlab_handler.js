@@ -1,5 +1,6 @@
 'use strict';
 
+const crypto = require('crypto');
 const fs = require('fs');
 const nock = require('nock');
 const Promise = require('bluebird');
@@ -12,6 +13,8 @@ const yaml = require('js-yaml');
 const nockout = require('./__nockout');
 
 const GitLabHandler = require('../lib/GitLabHandler');
+const summary = require('../lib/summary');
+const {loadYaml} = require('../lib/config_schema');
 
 let config = {
   webhookPath: '/glh',
@@ -146,12 +149,14 @@ describe('GitLabHandler', () => {
         let payload = require('./fixtures/push_payload');
 
         let headers = {
+          'X-GitLab-Token': 'secret',
           'X-GitLab-Event': 'push',
           'X-GitLab-Delivery': '8ec7bd00-df2b-11e4-9807-657b8ba6b6bd',
         };
 
         http(config.webhookPath).post({body: payload, headers: headers}, (err, res, body) => {
-          // push events should return OK and do nothing else.
+          // push events are acknowledged and handled in the background.
+          res.statusCode.should.equal(202);
           body.should.eql({ok: true});
           done();
         });
@@ -255,6 +260,2205 @@ describe('GitLabHandler', () => {
   });
 
 
+  describe('merge request close and merge', () => {
+    let mocks = [];
+    let updateSpy;
+    let glh;
+
+    before('init mocks', () => {
+      glh = new GitLabHandler(config);
+
+      mocks.push(
+        sinon.stub(glh.api, 'findProjectByRepo').yields(null, {id: '1234'})
+      );
+
+      updateSpy = sinon.stub(glh, 'buildStatusUpdateHandler').yields();
+      mocks.push(updateSpy);
+    });
+
+    afterEach('reset mocks', () => {
+      updateSpy.resetHistory();
+    });
+
+    after('restore mocks', () => {
+      mocks.forEach(mock => {
+        mock.restore();
+      });
+
+      glh.close();
+    });
+
+    function closedPayload(action, state) {
+      let payload = JSON.parse(JSON.stringify(require('./fixtures/pull_payload')));
+      payload.object_attributes.action = action;
+      payload.object_attributes.state = state;
+
+      return payload;
+    }
+
+    it('marks the environment of a merged merge request for reaping', done => {
+      let event = {payload: closedPayload('merge', 'merged')};
+
+      glh.mergeRequestHandler(event, err => {
+        should.not.exist(err);
+        updateSpy.calledWith({
+          state: 'success',
+          description: 'Merge request was merged, environment will be reaped',
+          context: 'ProboCI/env',
+        }, {
+          commit: {ref: '07fca8f08ae1ad8a77c50beab4bf6302c705e21e'},
+          project: {id: '1234'},
+        }).should.equal(true);
+
+        done();
+      });
+    });
+
+    it('marks the environment of a closed merge request for reaping', done => {
+      let event = {payload: closedPayload('close', 'closed')};
+
+      glh.mergeRequestHandler(event, err => {
+        should.not.exist(err);
+        updateSpy.calledOnce.should.equal(true);
+        updateSpy.firstCall.args[0].description.should.eql('Merge request was closed, environment will be reaped');
+
+        done();
+      });
+    });
+
+    it('ignores other updates of a closed merge request', done => {
+      let event = {payload: closedPayload('update', 'closed')};
+
+      glh.mergeRequestHandler(event, err => {
+        should.not.exist(err);
+        updateSpy.called.should.equal(false);
+
+        done();
+      });
+    });
+  });
+
+  describe('tag push', () => {
+    let mocks = [];
+    let submitStub;
+    let glh;
+
+    before('init mocks', () => {
+      glh = new GitLabHandler(config);
+
+      mocks.push(
+        sinon.stub(glh.api, 'findProjectByRepo').yields(null, {id: '1234'})
+      );
+      mocks.push(
+        sinon.stub(glh.gitlab, 'fetchProboYamlConfig').yields(null, {
+          tags: ['v*-rc*'],
+          steps: [],
+        })
+      );
+
+      submitStub = sinon.stub(glh, 'submitBuild').yields(null, {id: 'build1'});
+      mocks.push(submitStub);
+    });
+
+    afterEach('reset mocks', () => {
+      submitStub.resetHistory();
+    });
+
+    after('restore mocks', () => {
+      mocks.forEach(mock => {
+        mock.restore();
+      });
+
+      glh.close();
+    });
+
+    function tagPayload(tag, checkoutSha) {
+      let payload = JSON.parse(JSON.stringify(require('./fixtures/push_payload')));
+      payload.object_kind = 'tag_push';
+      payload.ref = `refs/tags/${tag}`;
+      payload.after = '82b3d5ae55f7080f1e6022629cdb57bfae7cccc7';
+      payload.checkout_sha = checkoutSha;
+      payload.commits = [];
+
+      return payload;
+    }
+
+    it('builds tags matching a tag pattern', done => {
+      let event = {payload: tagPayload('v1.2.0-rc1', '07fca8f08ae1ad8a77c50beab4bf6302c705e21e')};
+
+      glh.tagPushHandler(event, (err, build) => {
+        should.not.exist(err);
+        build.id.should.eql('build1');
+
+        let request = submitStub.firstCall.args[0];
+        request.type.should.eql('tag');
+        request.sha.should.eql('07fca8f08ae1ad8a77c50beab4bf6302c705e21e');
+        request.tag.name.should.eql('v1.2.0-rc1');
+
+        done();
+      });
+    });
+
+    it('skips tags not matching any tag pattern', done => {
+      let event = {payload: tagPayload('v1.2.0', '07fca8f08ae1ad8a77c50beab4bf6302c705e21e')};
+
+      glh.tagPushHandler(event, (err, build) => {
+        should.not.exist(err);
+        should.not.exist(build);
+        submitStub.called.should.equal(false);
+
+        done();
+      });
+    });
+
+    it('ignores deleted tags', done => {
+      let event = {payload: tagPayload('v1.2.0-rc1', null)};
+
+      glh.tagPushHandler(event, err => {
+        should.not.exist(err);
+        submitStub.called.should.equal(false);
+
+        done();
+      });
+    });
+  });
+
+  describe('merge request commands', () => {
+    let mocks = [];
+    let accessLevel;
+    let noteStub;
+    let processStub;
+    let glh;
+
+    before('init mocks', () => {
+      glh = new GitLabHandler(config);
+
+      mocks.push(
+        sinon.stub(glh.api, 'findProjectByRepo').yields(null, {id: '1234'})
+      );
+      mocks.push(
+        sinon.stub(glh.gitlab, 'getMemberAccessLevel').callsFake((project, userId, cb) => {
+          cb(null, accessLevel);
+        })
+      );
+
+      noteStub = sinon.stub(glh.gitlab, 'createMergeRequestNote').yields(null, {});
+      mocks.push(noteStub);
+
+      processStub = sinon.stub(glh, 'processBuild').yields(null, {id: 'build1'});
+      mocks.push(processStub);
+    });
+
+    afterEach('reset mocks', () => {
+      noteStub.resetHistory();
+      processStub.resetHistory();
+    });
+
+    after('restore mocks', () => {
+      mocks.forEach(mock => {
+        mock.restore();
+      });
+
+      glh.close();
+    });
+
+    function notePayload(note) {
+      let pull = require('./fixtures/pull_payload');
+
+      return {
+        object_kind: 'note',
+        user: pull.user,
+        project: pull.project,
+        object_attributes: {
+          author_id: 12345,
+          note: note,
+          noteable_type: 'MergeRequest',
+        },
+        merge_request: pull.object_attributes,
+      };
+    }
+
+    it('rebuilds the merge request head', done => {
+      accessLevel = 30;
+
+      glh.noteHandler({payload: notePayload('/probo rebuild')}, (err, build) => {
+        should.not.exist(err);
+        build.id.should.eql('build1');
+        processStub.firstCall.args[1].sha.should.eql('07fca8f08ae1ad8a77c50beab4bf6302c705e21e');
+        noteStub.firstCall.args[1].should.eql(1);
+        noteStub.firstCall.args[2].should.match(/rebuilding/);
+
+        done();
+      });
+    });
+
+    it('rejects commands from users without Developer access', done => {
+      accessLevel = 20;
+
+      glh.noteHandler({payload: notePayload('/probo rebuild')}, err => {
+        should.not.exist(err);
+        processStub.called.should.equal(false);
+        noteStub.firstCall.args[2].should.match(/was rejected/);
+
+        done();
+      });
+    });
+
+    it('does not rebuild merge requests from forks nobody approved', done => {
+      let payload = notePayload('/probo rebuild');
+      payload.merge_request = Object.assign({}, payload.merge_request, {source_project_id: 999, labels: []});
+      accessLevel = 30;
+
+      glh.noteHandler({payload: payload}, err => {
+        should.not.exist(err);
+        processStub.called.should.equal(false);
+        noteStub.firstCall.args[2].should.match(/has not been approved/);
+
+        done();
+      });
+    });
+
+    it('explains unknown commands', done => {
+      glh.noteHandler({payload: notePayload('/probo deploy')}, err => {
+        should.not.exist(err);
+        noteStub.firstCall.args[2].should.match(/Unknown Probo command `deploy`/);
+        noteStub.firstCall.args[2].should.not.match(/probo stop/);
+
+        done();
+      });
+    });
+
+    it('ignores comments without commands', done => {
+      glh.noteHandler({payload: notePayload('Looks good to me')}, err => {
+        should.not.exist(err);
+        noteStub.called.should.equal(false);
+
+        done();
+      });
+    });
+  });
+
+  describe('branch build rules', () => {
+    let mocks = [];
+    let submitStub;
+    let glh;
+
+    before('init mocks', () => {
+      glh = new GitLabHandler(config);
+
+      mocks.push(
+        sinon.stub(glh.api, 'findProjectByRepo').yields(null, {
+          id: '1234',
+          branches: {develop: true},
+        })
+      );
+      mocks.push(
+        sinon.stub(glh.gitlab, 'fetchProboYamlConfig').yields(null, {
+          branches: ['main', 'release/*'],
+          steps: [],
+        })
+      );
+
+      submitStub = sinon.stub(glh, 'submitBuild').yields(null, {id: 'build1'});
+      mocks.push(submitStub);
+    });
+
+    afterEach('reset mocks', () => {
+      submitStub.resetHistory();
+    });
+
+    after('restore mocks', () => {
+      mocks.forEach(mock => {
+        mock.restore();
+      });
+
+      glh.close();
+    });
+
+    function pushPayload(branch, message) {
+      let payload = JSON.parse(JSON.stringify(require('./fixtures/push_payload')));
+      payload.ref = `refs/heads/${branch}`;
+      payload.commits[payload.commits.length - 1].message = message;
+
+      return payload;
+    }
+
+    it('builds branches matching a branch rule from .probo.yml', done => {
+      glh.pushHandler({payload: pushPayload('release/1.0', 'Fix typo')}, (err, build) => {
+        should.not.exist(err);
+        build.id.should.eql('build1');
+
+        done();
+      });
+    });
+
+    it('builds branches enabled in the project record', done => {
+      glh.pushHandler({payload: pushPayload('develop', 'Fix typo')}, (err, build) => {
+        should.not.exist(err);
+        build.id.should.eql('build1');
+
+        done();
+      });
+    });
+
+    it('skips branches without a matching rule', done => {
+      glh.pushHandler({payload: pushPayload('feature/x', 'Fix typo')}, (err, build) => {
+        should.not.exist(err);
+        should.not.exist(build);
+        submitStub.called.should.equal(false);
+
+        done();
+      });
+    });
+
+    it('only reports config errors on branches the project record selects', done => {
+      let statusStub = sinon.stub(glh, 'buildStatusUpdateHandler').yields();
+      glh.gitlab.fetchProboYamlConfig.yields(new Error('No .probo.yml file was found.'));
+
+      glh.pushHandler({payload: pushPayload('feature/x', 'Fix typo')}, (err) => {
+        should.not.exist(err);
+        statusStub.called.should.equal(false);
+
+        glh.pushHandler({payload: pushPayload('develop', 'Fix typo')}, (err) => {
+          statusStub.restore();
+          glh.gitlab.fetchProboYamlConfig.yields(null, {branches: ['main', 'release/*'], steps: []});
+
+          should.not.exist(err);
+          statusStub.calledOnce.should.equal(true);
+          statusStub.args[0][0].state.should.equal('error');
+
+          done();
+        });
+      });
+    });
+
+    it('builds any branch with [build] in the commit message', done => {
+      glh.pushHandler({payload: pushPayload('feature/x', 'Fix typo [build]')}, (err, build) => {
+        should.not.exist(err);
+        build.id.should.eql('build1');
+
+        done();
+      });
+    });
+
+    it('skips pushes with [skip probo] in the commit message', done => {
+      glh.pushHandler({payload: pushPayload('main', 'Fix typo [skip probo]')}, (err, build) => {
+        should.not.exist(err);
+        should.not.exist(build);
+        submitStub.called.should.equal(false);
+
+        done();
+      });
+    });
+
+    it('applies branch rules to branch creation pushes without commits', done => {
+      let payload = pushPayload('release/2.0', '');
+      payload.before = '0000000000000000000000000000000000000000';
+      payload.commits = [];
+
+      glh.pushHandler({payload: payload}, (err, build) => {
+        should.not.exist(err);
+        build.id.should.eql('build1');
+
+        done();
+      });
+    });
+
+    it('stops the environments of deleted branches', done => {
+      let payload = pushPayload('release/1.0', '');
+      payload.after = '0000000000000000000000000000000000000000';
+      payload.commits = [];
+
+      glh.config.gitlabEnvironments = true;
+      let stopStub = sinon.stub(glh.gitlab, 'stopEnvironment').yields(null, {});
+
+      glh.pushHandler({payload: payload}, err => {
+        delete glh.config.gitlabEnvironments;
+        stopStub.restore();
+
+        should.not.exist(err);
+        submitStub.called.should.equal(false);
+        stopStub.calledWith({id: '1234', branches: {develop: true}}, 'review/release/1.0').should.equal(true);
+
+        done();
+      });
+    });
+
+    it('skips merge requests with [skip probo] in the commit message', done => {
+      let payload = JSON.parse(JSON.stringify(require('./fixtures/pull_payload')));
+      payload.object_attributes.last_commit.message = 'WIP [Skip Probo]';
+
+      glh.mergeRequestHandler({payload: payload}, (err, build) => {
+        should.not.exist(err);
+        should.not.exist(build);
+        submitStub.called.should.equal(false);
+
+        done();
+      });
+    });
+  });
+
+  describe('merge request updates', () => {
+    let mocks = [];
+    let processStub;
+    let glh;
+
+    before('init mocks', () => {
+      glh = new GitLabHandler(config);
+
+      mocks.push(
+        sinon.stub(glh.api, 'findProjectByRepo').yields(null, {id: '1234'})
+      );
+
+      processStub = sinon.stub(glh, 'processBuild').yields(null, {id: 'build1'});
+      mocks.push(processStub);
+    });
+
+    afterEach('reset mocks', () => {
+      processStub.resetHistory();
+    });
+
+    after('restore mocks', () => {
+      mocks.forEach(mock => {
+        mock.restore();
+      });
+
+      glh.close();
+    });
+
+    function updatePayload(action, changes, oldrev) {
+      let payload = JSON.parse(JSON.stringify(require('./fixtures/pull_payload')));
+      payload.object_attributes.action = action;
+      payload.object_attributes.oldrev = oldrev;
+      payload.changes = changes;
+
+      return payload;
+    }
+
+    it('builds updates that moved the head sha', done => {
+      let payload = updatePayload('update', {}, '6642b53392e3f2ef452249f4cee903aedabd0369');
+
+      glh.mergeRequestHandler({payload: payload}, (err, build) => {
+        should.not.exist(err);
+        build.id.should.eql('build1');
+
+        done();
+      });
+    });
+
+    it('ignores metadata updates', done => {
+      let changes = {assignees: {previous: [], current: [{username: 'proboci'}]}};
+
+      glh.mergeRequestHandler({payload: updatePayload('update', changes)}, err => {
+        should.not.exist(err);
+        processStub.called.should.equal(false);
+
+        done();
+      });
+    });
+
+    it('ignores approvals', done => {
+      glh.mergeRequestHandler({payload: updatePayload('approved', {})}, err => {
+        should.not.exist(err);
+        processStub.called.should.equal(false);
+
+        done();
+      });
+    });
+  });
+
+  describe('merge requests from forks', () => {
+    let mocks = [];
+    let noteStub;
+    let configStub;
+    let submitStub;
+    let glh;
+
+    before('init mocks', () => {
+      glh = new GitLabHandler(config);
+
+      mocks.push(
+        sinon.stub(glh.api, 'findProjectByRepo').yields(null, {id: '1234'})
+      );
+
+      configStub = sinon.stub(glh.gitlab, 'fetchProboYamlConfig').yields(null, {steps: []});
+      mocks.push(configStub);
+
+      noteStub = sinon.stub(glh.gitlab, 'createMergeRequestNote').yields(null, {});
+      mocks.push(noteStub);
+
+      submitStub = sinon.stub(glh, 'submitBuild').yields(null, {id: 'build1'});
+      mocks.push(submitStub);
+    });
+
+    afterEach('reset mocks', () => {
+      configStub.resetHistory();
+      noteStub.resetHistory();
+      submitStub.resetHistory();
+    });
+
+    after('restore mocks', () => {
+      mocks.forEach(mock => {
+        mock.restore();
+      });
+
+      glh.close();
+    });
+
+    function forkPayload(action, labels) {
+      let payload = JSON.parse(JSON.stringify(require('./fixtures/pull_payload')));
+      payload.object_attributes.action = action;
+      payload.object_attributes.source_project_id = 5678;
+      payload.object_attributes.source.web_url = 'https://gitlab.com/contributor/testrepo';
+      payload.labels = labels.map(title => ({title: title}));
+
+      return payload;
+    }
+
+    it('holds unapproved merge requests and explains how to approve them', done => {
+      glh.mergeRequestHandler({payload: forkPayload('open', [])}, (err, build) => {
+        should.not.exist(err);
+        should.not.exist(build);
+        submitStub.called.should.equal(false);
+        noteStub.firstCall.args[2].should.match(/`\/probo approve`/);
+
+        done();
+      });
+    });
+
+    it('builds approved merge requests from the merge request head ref', done => {
+      let payload = forkPayload('open', ['probo:approved']);
+
+      glh.mergeRequestHandler({payload: payload}, (err, build) => {
+        should.not.exist(err);
+        build.id.should.eql('build1');
+        configStub.firstCall.args[1].should.eql('refs/merge-requests/1/head');
+
+        let request = submitStub.firstCall.args[0];
+        request.branch.html_url.should.eql('https://gitlab.com/contributor/testrepo/tree/master');
+        request.pull_request.html_url.should.eql('https://gitlab.com/proboci/testrepo/merge_requests/1');
+        glh.createBuild(request, {steps: []}).pullRequest.fork.should.equal(true);
+
+        done();
+      });
+    });
+
+    it('builds when the approval label is added', done => {
+      let payload = forkPayload('update', ['probo:approved']);
+      payload.changes = {
+        labels: {previous: [], current: [{title: 'probo:approved'}]},
+      };
+
+      glh.mergeRequestHandler({payload: payload}, (err, build) => {
+        should.not.exist(err);
+        build.id.should.eql('build1');
+
+        done();
+      });
+    });
+
+    it('builds when an approval label without the Probo prefix is added', done => {
+      glh.config.forkApprovalLabel = 'ok-to-test';
+
+      let payload = forkPayload('update', ['ok-to-test']);
+      payload.changes = {
+        labels: {previous: [], current: [{title: 'ok-to-test'}]},
+      };
+
+      glh.mergeRequestHandler({payload: payload}, (err, build) => {
+        delete glh.config.forkApprovalLabel;
+
+        should.not.exist(err);
+        build.id.should.eql('build1');
+        submitStub.calledOnce.should.equal(true);
+
+        done();
+      });
+    });
+
+    it('lets maintainers approve with a comment', done => {
+      let labelStub = sinon.stub(glh.gitlab, 'addMergeRequestLabels').yields(null, {});
+      let accessStub = sinon.stub(glh.gitlab, 'getMemberAccessLevel').yields(null, 40);
+      let payload = forkPayload('open', []);
+      let event = {
+        payload: {
+          object_kind: 'note',
+          project: payload.project,
+          object_attributes: {
+            author_id: 12345,
+            note: '/probo approve',
+            noteable_type: 'MergeRequest',
+          },
+          merge_request: payload.object_attributes,
+        },
+      };
+
+      glh.noteHandler(event, (err) => {
+        labelStub.restore();
+        accessStub.restore();
+
+        should.not.exist(err);
+        labelStub.calledWith({id: '1234'}, 1, ['probo:approved']).should.equal(true);
+        noteStub.lastCall.args[2].should.match(/will build it/);
+
+        // The label webhook builds the merge request, once.
+        let labelled = forkPayload('update', ['probo:approved']);
+        labelled.changes = {
+          labels: {previous: [], current: [{title: 'probo:approved'}]},
+        };
+
+        glh.mergeRequestHandler({payload: labelled}, (err, build) => {
+          should.not.exist(err);
+          build.id.should.eql('build1');
+          submitStub.calledOnce.should.equal(true);
+
+          done();
+        });
+      });
+    });
+
+    it('builds approved merge requests when approved again', done => {
+      let accessStub = sinon.stub(glh.gitlab, 'getMemberAccessLevel').yields(null, 40);
+      let payload = forkPayload('update', ['probo:approved']);
+      let event = {
+        payload: {
+          object_kind: 'note',
+          project: payload.project,
+          object_attributes: {
+            author_id: 12345,
+            note: '/probo approve',
+            noteable_type: 'MergeRequest',
+          },
+          merge_request: Object.assign({}, payload.object_attributes, {labels: payload.labels}),
+        },
+      };
+
+      glh.noteHandler(event, (err, build) => {
+        accessStub.restore();
+
+        should.not.exist(err);
+        build.id.should.eql('build1');
+        submitStub.calledOnce.should.equal(true);
+
+        done();
+      });
+    });
+  });
+
+  describe('merged result builds', () => {
+    let mocks = [];
+    let probo;
+    let configStub;
+    let mergeRefStub;
+    let submitStub;
+    let glh;
+
+    before('init mocks', () => {
+      glh = new GitLabHandler(config);
+
+      mocks.push(
+        sinon.stub(glh.api, 'findProjectByRepo').yields(null, {id: '1234'})
+      );
+
+      configStub = sinon.stub(glh.gitlab, 'fetchProboYamlConfig').callsFake((project, ref, cb) => {
+        cb(null, probo);
+      });
+      mocks.push(configStub);
+
+      mergeRefStub = sinon.stub(glh.gitlab, 'getMergeRefSha');
+      mocks.push(mergeRefStub);
+
+      submitStub = sinon.stub(glh, 'submitBuild').yields(null, {id: 'build1'});
+      mocks.push(submitStub);
+    });
+
+    afterEach('reset mocks', () => {
+      configStub.resetHistory();
+      mergeRefStub.reset();
+      submitStub.resetHistory();
+    });
+
+    after('restore mocks', () => {
+      mocks.forEach(mock => {
+        mock.restore();
+      });
+
+      glh.close();
+    });
+
+    it('builds the merge ref sha with its own config', done => {
+      probo = {merged_result: true, steps: []};
+      mergeRefStub.yields(null, '1c8b5a2cba3e4bd8c7ab1c4d9a1a0bde8b0e3a7f');
+
+      glh.mergeRequestHandler({payload: require('./fixtures/pull_payload')}, (err, build) => {
+        should.not.exist(err);
+        build.id.should.eql('build1');
+        configStub.secondCall.args[1].should.eql('1c8b5a2cba3e4bd8c7ab1c4d9a1a0bde8b0e3a7f');
+
+        let request = submitStub.firstCall.args[0];
+        request.sha.should.eql('1c8b5a2cba3e4bd8c7ab1c4d9a1a0bde8b0e3a7f');
+        request.source_sha.should.eql('07fca8f08ae1ad8a77c50beab4bf6302c705e21e');
+
+        done();
+      });
+    });
+
+    it('builds the source head when the merge request cannot be merged', done => {
+      probo = {merged_result: true, steps: []};
+      mergeRefStub.yields(new Error('Merge request is not mergeable'));
+
+      glh.mergeRequestHandler({payload: require('./fixtures/pull_payload')}, (err, build) => {
+        should.not.exist(err);
+        build.id.should.eql('build1');
+        submitStub.firstCall.args[0].sha.should.eql('07fca8f08ae1ad8a77c50beab4bf6302c705e21e');
+
+        done();
+      });
+    });
+
+    it('posts statuses of merged result builds against the source sha', done => {
+      let postStub = sinon.stub(glh.gitlab, 'postStatus').yields(null, {});
+      let update = {
+        state: 'success',
+        description: 'Environment built!',
+        context: 'ci/env',
+        target_url: 'http://my_url.com',
+      };
+      let build = {
+        id: 'build1',
+        commit: {
+          ref: '1c8b5a2cba3e4bd8c7ab1c4d9a1a0bde8b0e3a7f',
+          sourceRef: '07fca8f08ae1ad8a77c50beab4bf6302c705e21e',
+        },
+        project: {id: '1234'},
+      };
+
+      glh.buildStatusUpdateHandler(update, build, err => {
+        postStub.restore();
+
+        should.not.exist(err);
+        postStub.firstCall.args[1].should.eql('07fca8f08ae1ad8a77c50beab4bf6302c705e21e');
+
+        done();
+      });
+    });
+
+    it('rebuilds merge requests when their target branch moves', done => {
+      probo = {
+        merged_result: {enabled: true, rebuild_on_target_change: true},
+        branches: ['feature'],
+        steps: [],
+      };
+      mergeRefStub.yields(null, '1c8b5a2cba3e4bd8c7ab1c4d9a1a0bde8b0e3a7f');
+
+      let mergeRequestsStub = sinon.stub(glh.gitlab, 'getOpenMergeRequests').yields(null, [
+        {
+          iid: 1,
+          id: 123456,
+          title: 'WIP: Master',
+          source_branch: 'master',
+          source_project_id: 1234,
+          target_project_id: 1234,
+          sha: '07fca8f08ae1ad8a77c50beab4bf6302c705e21e',
+          web_url: 'https://gitlab.com/proboci/testrepo/merge_requests/1',
+        },
+        {
+          iid: 2,
+          id: 123457,
+          title: 'From a fork',
+          source_branch: 'master',
+          source_project_id: 5678,
+          target_project_id: 1234,
+          sha: 'c2a5c0f0e6e4f1b1e9f1f0c1f3d2b7a4c6e8d9f0',
+          web_url: 'https://gitlab.com/proboci/testrepo/merge_requests/2',
+        },
+      ]);
+      let payload = JSON.parse(JSON.stringify(require('./fixtures/push_payload')));
+      payload.ref = 'refs/heads/feature';
+
+      let rebuildSpy = sinon.spy(glh, 'rebuildTargetMergeRequests');
+
+      glh.pushHandler({payload: payload}, err => {
+        should.not.exist(err);
+        rebuildSpy.calledOnce.should.equal(true);
+
+        glh.rebuildTargetMergeRequests({id: '1234'}, rebuildSpy.firstCall.args[1], () => {
+          rebuildSpy.restore();
+          mergeRequestsStub.restore();
+
+          let rebuilt = submitStub.getCalls()
+            .map(call => call.args[0])
+            .filter(request => request.type === 'pull_request');
+          rebuilt.length.should.be.above(0);
+          rebuilt.forEach(request => {
+            request.pull_request.number.should.eql(1);
+            request.source_sha.should.eql('07fca8f08ae1ad8a77c50beab4bf6302c705e21e');
+          });
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('merge request labels', () => {
+    let mocks = [];
+    let probo;
+    let submitStub;
+    let glh;
+
+    before('init mocks', () => {
+      glh = new GitLabHandler(config);
+
+      mocks.push(
+        sinon.stub(glh.api, 'findProjectByRepo').yields(null, {id: '1234'})
+      );
+      mocks.push(
+        sinon.stub(glh.gitlab, 'fetchProboYamlConfig').callsFake((project, ref, cb) => {
+          cb(null, probo);
+        })
+      );
+
+      submitStub = sinon.stub(glh, 'submitBuild').yields(null, {id: 'build1'});
+      mocks.push(submitStub);
+    });
+
+    beforeEach('reset config', () => {
+      probo = {steps: []};
+    });
+
+    afterEach('reset mocks', () => {
+      submitStub.resetHistory();
+    });
+
+    after('restore mocks', () => {
+      mocks.forEach(mock => {
+        mock.restore();
+      });
+
+      glh.close();
+    });
+
+    function labelledPayload(action, labels, previousLabels) {
+      let payload = JSON.parse(JSON.stringify(require('./fixtures/pull_payload')));
+      payload.object_attributes.action = action;
+      payload.labels = labels.map(title => ({title: title}));
+      payload.changes = {};
+
+      if (previousLabels) {
+        payload.changes.labels = {
+          previous: previousLabels.map(title => ({title: title})),
+          current: payload.labels,
+        };
+      }
+
+      return payload;
+    }
+
+    it('never builds merge requests labelled probo:skip', done => {
+      glh.mergeRequestHandler({payload: labelledPayload('open', ['probo:skip'])}, (err, build) => {
+        should.not.exist(err);
+        should.not.exist(build);
+        submitStub.called.should.equal(false);
+
+        done();
+      });
+    });
+
+    it('only builds opted in merge requests when the project is opt-in', done => {
+      probo = {opt_in: true, steps: []};
+
+      glh.mergeRequestHandler({payload: labelledPayload('open', [])}, (err, build) => {
+        should.not.exist(err);
+        should.not.exist(build);
+
+        glh.mergeRequestHandler({payload: labelledPayload('open', ['probo:build'])}, (err, build) => {
+          should.not.exist(err);
+          build.id.should.eql('build1');
+
+          done();
+        });
+      });
+    });
+
+    it('builds when a Probo label is added', done => {
+      let payload = labelledPayload('update', ['bug', 'probo:db-refresh'], ['bug']);
+
+      glh.mergeRequestHandler({payload: payload}, (err, build) => {
+        should.not.exist(err);
+        build.id.should.eql('build1');
+
+        done();
+      });
+    });
+
+    it('does not build when other labels are added', done => {
+      let payload = labelledPayload('update', ['bug'], []);
+
+      glh.mergeRequestHandler({payload: payload}, (err, build) => {
+        should.not.exist(err);
+        should.not.exist(build);
+        submitStub.called.should.equal(false);
+
+        done();
+      });
+    });
+
+    it('passes labels and flags to the build', () => {
+      let payload = labelledPayload('open', ['bug', 'probo:db-refresh', 'probo:build']);
+      let build = glh.createBuild(glh.buildMergeRequestRequest(payload), {steps: []});
+
+      build.pullRequest.labels.should.eql(['bug', 'probo:db-refresh', 'probo:build']);
+      build.pullRequest.flags.should.eql(['db-refresh']);
+    });
+  });
+
+  describe('webhook deliveries', () => {
+    let glh;
+    let queueMocked;
+
+    before(() => {
+      glh = new GitLabHandler(config);
+      queueMocked = sinon.stub(glh.queue, 'push').yields();
+    });
+
+    afterEach(() => {
+      queueMocked.resetHistory();
+    });
+
+    after(() => {
+      queueMocked.restore();
+      glh.close();
+    });
+
+    it('drops deliveries with a known UUID', done => {
+      let event = {event: 'push', payload: require('./fixtures/push_payload')};
+
+      glh.receiveWebhookEvent(event, 'a4e0fd5e-6a4c-4c5b-9a52-3b24e9a4d1f0', () => {
+        glh.receiveWebhookEvent(event, 'a4e0fd5e-6a4c-4c5b-9a52-3b24e9a4d1f0', () => {
+          queueMocked.calledOnce.should.equal(true);
+
+          done();
+        });
+      });
+    });
+
+    it('drops duplicate deliveries without a UUID', done => {
+      let payload = JSON.parse(JSON.stringify(require('./fixtures/pull_payload')));
+      payload.object_attributes.action = 'open';
+
+      glh.receiveWebhookEvent({event: 'merge_request', payload: payload}, null, () => {
+        glh.receiveWebhookEvent({event: 'merge_request', payload: payload}, null, () => {
+          queueMocked.calledOnce.should.equal(true);
+
+          payload.object_attributes.action = 'update';
+          glh.receiveWebhookEvent({event: 'merge_request', payload: payload}, null, () => {
+            queueMocked.calledTwice.should.equal(true);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('accepts the retry of a delivery that could not be queued', done => {
+      let event = {event: 'push', payload: require('./fixtures/push_payload')};
+      queueMocked.onFirstCall().yields(new Error('ENOSPC: no space left on device'));
+
+      glh.receiveWebhookEvent(event, 'a9f3be05-3d5e-4c73-8f55-7e0d4c1f2b6e', (err) => {
+        err.message.should.match(/ENOSPC/);
+
+        glh.receiveWebhookEvent(event, 'a9f3be05-3d5e-4c73-8f55-7e0d4c1f2b6e', (err) => {
+          should.not.exist(err);
+          queueMocked.calledTwice.should.equal(true);
+
+          done();
+        });
+      });
+    });
+
+    it('ignores events without a handler', done => {
+      let payload = {object_kind: 'pipeline', project: {id: 1}};
+
+      glh.receiveWebhookEvent({event: 'pipeline', payload: payload}, null, () => {
+        queueMocked.called.should.equal(false);
+
+        done();
+      });
+    });
+  });
+
+  describe('webhook queue', () => {
+    let glh;
+    let pushMocked;
+
+    before('start another glh', done => {
+      glh = new GitLabHandler(config);
+      pushMocked = sinon.stub(glh, 'pushHandler').yields();
+      glh.start(() => {
+        nock.enableNetConnect(glh.server.url.replace('http://', ''));
+        done();
+      });
+    });
+
+    afterEach(() => {
+      pushMocked.reset();
+      pushMocked.yields();
+    });
+
+    after(() => {
+      pushMocked.restore();
+      glh.close();
+    });
+
+    it('acknowledges deliveries and handles them in the background', done => {
+      let headers = {
+        'X-GitLab-Token': 'secret',
+        'X-GitLab-Event': 'Push Hook',
+        'X-Gitlab-Event-UUID': '0d6bdbd5-1b8e-4d1c-8bd9-6e6f9f0bd3a1',
+      };
+
+      http(config.webhookPath, glh).post({body: require('./fixtures/push_payload'), headers: headers}, (err, res, body) => {
+        should.not.exist(err);
+        res.statusCode.should.equal(202);
+        body.should.eql({ok: true});
+
+        setTimeout(() => {
+          pushMocked.calledOnce.should.equal(true);
+          pushMocked.args[0][0].event.should.equal('push');
+
+          done();
+        }, 50);
+      });
+    });
+
+    it('drops events of projects Probo does not know', done => {
+      let job = {deliveryId: 'delivery1', event: {event: 'push', payload: {}}};
+      let notFound = new Error('Project not found');
+      notFound.permanent = true;
+      pushMocked.yields(notFound);
+
+      glh.processQueuedEvent(job, (err) => {
+        should.not.exist(err);
+
+        pushMocked.yields(new Error('connect ECONNREFUSED'));
+        glh.processQueuedEvent(job, (err) => {
+          err.message.should.equal('connect ECONNREFUSED');
+
+          done();
+        });
+      });
+    });
+
+    it('rejects deliveries with the wrong secret', done => {
+      let headers = {
+        'X-GitLab-Token': 'wrong',
+        'X-GitLab-Event': 'Push Hook',
+      };
+
+      http(config.webhookPath, glh).post({body: require('./fixtures/push_payload'), headers: headers}, (err, res) => {
+        should.not.exist(err);
+        res.statusCode.should.equal(401);
+        pushMocked.called.should.equal(false);
+
+        done();
+      });
+    });
+
+    it('rejects deliveries without a repository', done => {
+      let headers = {
+        'X-GitLab-Token': 'secret',
+        'X-GitLab-Event': 'Push Hook',
+      };
+
+      http(config.webhookPath, glh).post({body: {object_kind: 'push'}, headers: headers}, (err, res) => {
+        should.not.exist(err);
+        res.statusCode.should.equal(400);
+
+        done();
+      });
+    });
+  });
+
+  describe('failed builds', () => {
+    let mocks = [];
+    let glh;
+    let submitMocked;
+
+    let request = {
+      type: 'branch',
+      name: 'Update README',
+      service: 'gitlab',
+      branch: {name: 'master'},
+      sha: '9a3b1c0',
+      commit_url: 'https://gitlab.com/proboci/testrepo/-/commit/9a3b1c0',
+    };
+    let project = {
+      id: '1234',
+      service: 'gitlab',
+      slug: 'proboci/testrepo',
+      service_auth: {token: 'testing', refreshToken: 'refresh'},
+    };
+
+    function admin(path) {
+      return http(path, glh).defaults({headers: {authorization: 'Bearer admin'}});
+    }
+
+    before('start another glh', done => {
+      glh = new GitLabHandler(Object.assign({}, config, {mail: {}, adminToken: 'admin'}));
+
+      mocks.push(sinon.stub(glh.gitlab.tokens, 'getTokens').callsFake((project, cb) => cb(null, project.service_auth)));
+      mocks.push(sinon.stub(glh.api, 'findProjectByRepo').yields(null, project));
+      submitMocked = sinon.stub(glh.api, 'submitBuild');
+      mocks.push(submitMocked);
+
+      glh.start(() => {
+        nock.enableNetConnect(glh.server.url.replace('http://', ''));
+        done();
+      });
+    });
+
+    beforeEach(() => {
+      submitMocked.reset();
+      submitMocked.onFirstCall().yields(new Error('connect ECONNREFUSED'));
+      submitMocked.yields(null, {id: 'build1'});
+    });
+
+    afterEach(() => {
+      glh.failedBuilds.entries = {};
+    });
+
+    after(() => {
+      mocks.forEach(mock => mock.restore());
+      glh.close();
+    });
+
+    it('keeps builds the coordinator did not accept', done => {
+      glh.submitBuild(request, Object.assign({}, project), {steps: []}, (err) => {
+        should.not.exist(err);
+
+        let failedBuilds = glh.failedBuilds.list();
+        failedBuilds.length.should.equal(1);
+        failedBuilds[0].request.should.eql(request);
+        failedBuilds[0].config.should.eql({steps: []});
+        should.not.exist(failedBuilds[0].project.service_auth);
+
+        done();
+      });
+    });
+
+    it('replays failed builds once a build goes through', done => {
+      let other = Object.assign({}, request, {sha: '5e0f1b2'});
+
+      glh.submitBuild(request, Object.assign({}, project), {steps: []}, () => {
+        glh.submitBuild(other, Object.assign({}, project), {steps: []}, (err, build) => {
+          should.not.exist(err);
+          build.id.should.equal('build1');
+
+          setImmediate(() => {
+            submitMocked.calledThrice.should.equal(true);
+            submitMocked.args[2][0].commit.ref.should.equal('9a3b1c0');
+            submitMocked.args[2][1].service_auth.should.eql({token: 'testing', refreshToken: 'refresh'});
+            glh.failedBuilds.list().should.eql([]);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('submits a build that failed several times once after recovery', done => {
+      submitMocked.onSecondCall().yields(new Error('connect ECONNREFUSED'));
+      submitMocked.onThirdCall().yields(new Error('connect ECONNREFUSED'));
+
+      let submit = (next) => glh.submitBuild(request, Object.assign({}, project), {steps: []}, next);
+      let recover = (err) => {
+        should.not.exist(err);
+        glh.failedBuilds.list().length.should.equal(1);
+
+        glh.replayFailedBuilds((err) => {
+          should.not.exist(err);
+          submitMocked.callCount.should.equal(4);
+          submitMocked.args[3][0].commit.ref.should.equal('9a3b1c0');
+          glh.failedBuilds.list().should.eql([]);
+
+          done();
+        });
+      };
+
+      submit(() => submit(() => submit(recover)));
+    });
+
+    it('forgets a failed build that is submitted again', done => {
+      glh.submitBuild(request, Object.assign({}, project), {steps: []}, () => {
+        glh.submitBuild(request, Object.assign({}, project), {steps: []}, (err, build) => {
+          should.not.exist(err);
+          build.id.should.equal('build1');
+
+          setImmediate(() => {
+            submitMocked.calledTwice.should.equal(true);
+            glh.failedBuilds.list().should.eql([]);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('lists and shows failed builds', done => {
+      glh.submitBuild(request, Object.assign({}, project), {steps: []}, () => {
+        admin('/admin/failed-builds').get({}, (err, res, body) => {
+          should.not.exist(err);
+          body.length.should.equal(1);
+          body[0].project.should.equal('proboci/testrepo');
+          body[0].sha.should.equal('9a3b1c0');
+          body[0].error.should.equal('connect ECONNREFUSED');
+
+          admin(`/admin/failed-builds/${body[0].id}`).get({}, (err, res, body) => {
+            body.request.should.eql(request);
+            body.config.should.eql({steps: []});
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('replays failed builds', done => {
+      glh.submitBuild(request, Object.assign({}, project), {steps: []}, () => {
+        let id = glh.failedBuilds.list()[0].id;
+
+        admin(`/admin/failed-builds/${id}/replay`).post({}, (err, res, body) => {
+          res.statusCode.should.equal(200);
+          body.should.eql({id: 'build1'});
+          glh.failedBuilds.list().should.eql([]);
+
+          done();
+        });
+      });
+    });
+
+    it('keeps failed builds that fail again', done => {
+      submitMocked.yields(new Error('Bad gateway'));
+
+      glh.submitBuild(request, Object.assign({}, project), {steps: []}, () => {
+        let id = glh.failedBuilds.list()[0].id;
+
+        admin(`/admin/failed-builds/${id}/replay`).post({}, (err, res, body) => {
+          res.statusCode.should.equal(502);
+          body.error.should.equal('Bad gateway');
+          glh.failedBuilds.get(id).attempts.should.equal(1);
+
+          done();
+        });
+      });
+    });
+
+    it('discards failed builds', done => {
+      glh.submitBuild(request, Object.assign({}, project), {steps: []}, () => {
+        let id = glh.failedBuilds.list()[0].id;
+
+        admin(`/admin/failed-builds/${id}`).del({}, (err, res) => {
+          res.statusCode.should.equal(204);
+          glh.failedBuilds.list().should.eql([]);
+
+          done();
+        });
+      });
+    });
+
+    it('rejects admin requests without the admin token', done => {
+      http('/admin/failed-builds', glh).get({}, (err, res) => {
+        res.statusCode.should.equal(401);
+
+        done();
+      });
+    });
+  });
+
+  describe('merge request summary comment', () => {
+    let mocks = [];
+    let glh;
+    let notesMocked;
+    let createMocked;
+    let editMocked;
+
+    let update = {
+      state: 'success',
+      description: 'Environment built!',
+      context: 'ProboCI/env',
+      target_url: 'https://abc123.probo.build',
+    };
+
+    function build(config) {
+      return {
+        project: {id: '1234', provider_id: 1234, slug: 'proboci/testrepo'},
+        commit: {ref: '07fca8f08ae1ad8a77c50beab4bf6302c705e21e'},
+        pullRequest: {number: '1'},
+        config: config,
+      };
+    }
+
+    before(() => {
+      glh = new GitLabHandler(config);
+
+      mocks.push(sinon.stub(glh.gitlab, 'postStatus').yields(null, {}));
+      mocks.push(sinon.stub(glh.gitlab, 'getCurrentUser').yields(null, {id: 42, username: 'probo-bot'}));
+      notesMocked = sinon.stub(glh.gitlab, 'getMergeRequestNotes');
+      createMocked = sinon.stub(glh.gitlab, 'createMergeRequestNote').yields(null, {});
+      editMocked = sinon.stub(glh.gitlab, 'editMergeRequestNote').yields(null, {});
+      mocks.push(notesMocked, createMocked, editMocked);
+    });
+
+    afterEach(() => {
+      mocks.forEach(mock => mock.resetHistory());
+    });
+
+    after(() => {
+      mocks.forEach(mock => mock.restore());
+      glh.close();
+    });
+
+    it('posts the summary comment', done => {
+      notesMocked.yields(null, [{id: 5, body: 'Looks good to me', author: {id: 7}}]);
+
+      glh.buildStatusUpdateHandler(Object.assign({}, update), build({merge_request_comment: true}), (err) => {
+        should.not.exist(err);
+        editMocked.called.should.equal(false);
+        createMocked.calledOnce.should.equal(true);
+        createMocked.args[0][1].should.equal('1');
+
+        let body = createMocked.args[0][2];
+        body.should.containEql('**Environment:** https://abc123.probo.build');
+        summary.parseSummary(body).sha.should.equal('07fca8f08ae1ad8a77c50beab4bf6302c705e21e');
+
+        done();
+      });
+    });
+
+    it('edits the existing summary comment in place', done => {
+      let previous = summary.updateSummary(null, '07fca8f08ae1ad8a77c50beab4bf6302c705e21e', {
+        state: 'running',
+        description: 'Building',
+        context: 'ProboCI/build',
+      }, new Date());
+      notesMocked.yields(null, [
+        {id: 5, body: 'Looks good to me', author: {id: 7}},
+        {id: 7, body: summary.renderSummary(previous), author: {id: 42}},
+      ]);
+
+      glh.buildStatusUpdateHandler(Object.assign({}, update), build({merge_request_comment: true}), (err) => {
+        should.not.exist(err);
+        createMocked.called.should.equal(false);
+        editMocked.calledOnce.should.equal(true);
+        editMocked.args[0][2].should.equal(7);
+
+        let state = summary.parseSummary(editMocked.args[0][3]);
+        Object.keys(state.contexts).should.eql(['ProboCI/build', 'ProboCI/env']);
+
+        done();
+      });
+    });
+
+    it('ignores summary markers quoted by other users', done => {
+      let previous = summary.updateSummary(null, '07fca8f08ae1ad8a77c50beab4bf6302c705e21e', {
+        state: 'running',
+        description: 'Building',
+        context: 'ProboCI/build',
+      }, new Date());
+      notesMocked.yields(null, [{id: 5, body: `> ${summary.renderSummary(previous)}`, author: {id: 7}}]);
+
+      glh.buildStatusUpdateHandler(Object.assign({}, update), build({merge_request_comment: true}), (err) => {
+        should.not.exist(err);
+        editMocked.called.should.equal(false);
+        createMocked.calledOnce.should.equal(true);
+
+        done();
+      });
+    });
+
+    it('is off unless the .probo.yml file turns it on', done => {
+      glh.buildStatusUpdateHandler(Object.assign({}, update), build({steps: []}), (err) => {
+        should.not.exist(err);
+        notesMocked.called.should.equal(false);
+
+        done();
+      });
+    });
+  });
+
+  describe('GitLab environments', () => {
+    let mocks = [];
+    let glh;
+    let deployMocked;
+    let stopMocked;
+
+    let project = {id: '1234', provider_id: 1234, slug: 'proboci/testrepo'};
+
+    function build() {
+      return {
+        id: 'build1',
+        project: project,
+        commit: {ref: '07fca8f08ae1ad8a77c50beab4bf6302c705e21e'},
+        branch: {name: 'feature/login'},
+        pullRequest: {number: '1'},
+        config: {},
+      };
+    }
+
+    before(() => {
+      glh = new GitLabHandler(Object.assign({}, config, {gitlabEnvironments: true}));
+
+      mocks.push(sinon.stub(glh.gitlab, 'postStatus').yields(null, {}));
+      mocks.push(sinon.stub(glh.api, 'setBuildStatus').yields());
+      mocks.push(sinon.stub(glh.api, 'findProjectByRepo').yields(null, project));
+      deployMocked = sinon.stub(glh.gitlab, 'deployEnvironment').yields(null, {});
+      stopMocked = sinon.stub(glh.gitlab, 'stopEnvironment').yields(null, {});
+      mocks.push(deployMocked, stopMocked);
+    });
+
+    afterEach(() => {
+      mocks.forEach(mock => mock.resetHistory());
+    });
+
+    after(() => {
+      mocks.forEach(mock => mock.restore());
+      glh.close();
+    });
+
+    it('points the environment of a merge request at the built environment', done => {
+      let update = {
+        state: 'success',
+        description: 'Environment built!',
+        context: 'ProboCI/env',
+        target_url: 'https://abc123.probo.build',
+      };
+
+      glh.buildStatusUpdateHandler(update, build(), (err) => {
+        should.not.exist(err);
+        deployMocked.calledOnce.should.equal(true);
+        deployMocked.args[0][1].should.eql({
+          name: 'review/mr-1',
+          url: 'https://abc123.probo.build',
+          sha: '07fca8f08ae1ad8a77c50beab4bf6302c705e21e',
+          ref: 'feature/login',
+        });
+
+        done();
+      });
+    });
+
+    it('deploys merge requests from forks at the merge request head ref', done => {
+      let update = {
+        state: 'success',
+        description: 'Environment built!',
+        context: 'ProboCI/env',
+        target_url: 'https://abc123.probo.build',
+      };
+      let forked = build();
+      forked.pullRequest.fork = true;
+
+      glh.buildStatusUpdateHandler(update, forked, (err) => {
+        should.not.exist(err);
+        deployMocked.args[0][1].ref.should.equal('refs/merge-requests/1/head');
+
+        done();
+      });
+    });
+
+    it('waits until the environment is built', done => {
+      let update = {
+        state: 'running',
+        description: 'Building',
+        context: 'ProboCI/env',
+        target_url: 'https://abc123.probo.build',
+      };
+
+      glh.buildStatusUpdateHandler(update, build(), () => {
+        deployMocked.called.should.equal(false);
+
+        done();
+      });
+    });
+
+    it('stops the environment of a closed merge request', done => {
+      let request = {
+        slug: 'proboci/testrepo',
+        sha: '07fca8f08ae1ad8a77c50beab4bf6302c705e21e',
+        pull_request: {number: 1},
+      };
+
+      glh.reapMergeRequest(request, 'close', () => {
+        stopMocked.calledOnce.should.equal(true);
+        stopMocked.args[0][1].should.equal('review/mr-1');
+
+        done();
+      });
+    });
+
+    it('stops the environment of a deleted branch', done => {
+      let request = {slug: 'proboci/testrepo', branch: {name: 'feature/login'}};
+
+      glh.reapBranch(request, () => {
+        stopMocked.calledOnce.should.equal(true);
+        stopMocked.args[0][1].should.equal('review/feature/login');
+
+        done();
+      });
+    });
+  });
+
+  describe('status states', () => {
+    let glh;
+    let postMocked;
+
+    let build = {
+      project: {id: '1234', provider_id: 1234, slug: 'proboci/testrepo'},
+      commit: {ref: '07fca8f08ae1ad8a77c50beab4bf6302c705e21e'},
+    };
+
+    before(() => {
+      glh = new GitLabHandler(Object.assign({}, config, {
+        statusStates: {waiting: 'pending'},
+        statusPrefixes: {'proboci/testrepo': 'staging/'},
+      }));
+      postMocked = sinon.stub(glh.gitlab, 'postStatus').yields(null, {});
+    });
+
+    afterEach(() => {
+      postMocked.resetHistory();
+    });
+
+    after(() => {
+      postMocked.restore();
+      glh.close();
+    });
+
+    function post(update, cb) {
+      update = Object.assign({description: 'Step', context: 'ProboCI/build'}, update);
+      glh.buildStatusUpdateHandler(update, build, cb);
+    }
+
+    it('maps every Probo build state to a GitLab state', done => {
+      let states = ['canceled', 'skipped', 'manual', 'waiting'];
+      let next = () => {
+        if (!states.length) {
+          postMocked.args.map(args => args[2].state).should.eql(['canceled', 'success', 'pending', 'pending']);
+
+          return done();
+        }
+
+        post({state: states.shift()}, next);
+      };
+
+      next();
+    });
+
+    it('reports whether GitLab got the status to the coordinator', done => {
+      let outcomeMocked = sinon.stub(glh.api, 'setBuildStatus').yields();
+      postMocked.yields(new Error('Request failed with status code 500'));
+
+      let failing = Object.assign({id: 'build1'}, build);
+      let update = {state: 'success', description: 'Step', context: 'ProboCI/build'};
+
+      glh.buildStatusUpdateHandler(update, failing, () => {
+        outcomeMocked.restore();
+        postMocked.yields(null, {});
+
+        outcomeMocked.calledOnce.should.equal(true);
+        outcomeMocked.args[0][0].should.equal(failing);
+        outcomeMocked.args[0][1].should.equal('GitLab/ProboCI/build');
+        outcomeMocked.args[0][2].should.eql({
+          state: 'error',
+          description: 'Could not post success to GitLab: Request failed with status code 500',
+        });
+
+        done();
+      });
+    });
+
+    it('does not post unknown states', done => {
+      post({state: 'exploded'}, (err) => {
+        err.message.should.equal('Unknown build state: exploded');
+        postMocked.called.should.equal(false);
+
+        done();
+      });
+    });
+
+    it('passes the optional GitLab fields on', done => {
+      post({state: 'success', pipeline_id: 42, ref: 'feature', coverage: 87.5}, () => {
+        let statusInfo = postMocked.args[0][2];
+        statusInfo.pipeline_id.should.equal(42);
+        statusInfo.ref.should.equal('feature');
+        statusInfo.coverage.should.equal(87.5);
+
+        done();
+      });
+    });
+
+    it('prefixes the status names of the project', done => {
+      post({state: 'running', name: 'ProboCI/build'}, (err, statusInfo) => {
+        postMocked.args[0][2].context.should.equal('staging/ProboCI/build');
+        postMocked.args[0][2].name.should.equal('staging/ProboCI/build');
+        statusInfo.context.should.equal('ProboCI/build');
+
+        done();
+      });
+    });
+  });
+
+  describe('external status checks', () => {
+    let mocks = [];
+    let glh;
+    let statusesMocked;
+    let respondMocked;
+
+    let project = {id: '1234', provider_id: 1234, slug: 'proboci/testrepo'};
+
+    function checkPayload() {
+      let payload = JSON.parse(JSON.stringify(require('./fixtures/pull_payload')));
+      payload.external_approval_rules = [
+        {id: 7, name: 'Probo environment', external_url: 'https://probo.example.com/gitlab-status-check'},
+        {id: 8, name: 'Security scan', external_url: 'https://scanner.example.com/check'},
+      ];
+
+      return payload;
+    }
+
+    before('start another glh', done => {
+      glh = new GitLabHandler(Object.assign({}, config, {
+        statusCheckPath: '/gitlab-status-check',
+        statusCheckSecret: 'checks',
+      }));
+
+      mocks.push(sinon.stub(glh.api, 'findProjectByRepo').yields(null, project));
+      mocks.push(sinon.stub(glh.gitlab, 'postStatus').yields(null, {}));
+      mocks.push(sinon.stub(glh.api, 'setBuildStatus').yields());
+      statusesMocked = sinon.stub(glh.gitlab, 'getCommitStatuses');
+      respondMocked = sinon.stub(glh.gitlab, 'respondToStatusCheck').yields(null, {});
+      mocks.push(statusesMocked, respondMocked);
+      mocks.push(sinon.stub(glh.gitlab, 'getExternalStatusChecks').yields(null, [
+        {id: 7, name: 'Probo environment', external_url: 'https://probo.example.com/gitlab-status-check'},
+        {id: 8, name: 'Security scan', external_url: 'https://scanner.example.com/check'},
+      ]));
+
+      glh.start(() => {
+        nock.enableNetConnect(glh.server.url.replace('http://', ''));
+        done();
+      });
+    });
+
+    afterEach(() => {
+      mocks.forEach(mock => mock.resetHistory());
+      glh.statusChecks.checks = {};
+    });
+
+    after(() => {
+      mocks.forEach(mock => mock.restore());
+      glh.close();
+    });
+
+    it('answers right away when the environment is already built', done => {
+      statusesMocked.yields(null, [{name: 'ProboCI/env', status: 'success'}]);
+
+      glh.handleStatusCheck(checkPayload(), (err) => {
+        should.not.exist(err);
+        respondMocked.calledOnce.should.equal(true);
+        respondMocked.args[0][1].should.equal(1);
+        respondMocked.args[0][2].should.eql({
+          id: 7,
+          sha: '07fca8f08ae1ad8a77c50beab4bf6302c705e21e',
+          status: 'passed',
+        });
+
+        done();
+      });
+    });
+
+    it('ignores checks the project does not have', done => {
+      statusesMocked.yields(null, [{name: 'ProboCI/env', status: 'success'}]);
+
+      let payload = checkPayload();
+      payload.external_approval_rules[0].id = 99;
+
+      glh.handleStatusCheck(payload, (err) => {
+        should.not.exist(err);
+        respondMocked.called.should.equal(false);
+        glh.statusChecks.checks.should.eql({});
+
+        done();
+      });
+    });
+
+    it('answers once the build of the merge request head fails', done => {
+      statusesMocked.yields(null, []);
+
+      glh.handleStatusCheck(checkPayload(), () => {
+        respondMocked.called.should.equal(false);
+
+        let build = {
+          id: 'build1',
+          project: project,
+          commit: {ref: '07fca8f08ae1ad8a77c50beab4bf6302c705e21e'},
+        };
+        let update = {state: 'failure', description: 'Build failed', context: 'ProboCI/env'};
+
+        glh.buildStatusUpdateHandler(update, build, () => {
+          respondMocked.calledOnce.should.equal(true);
+          respondMocked.args[0][2].status.should.equal('failed');
+          glh.statusChecks.checks.should.eql({});
+
+          done();
+        });
+      });
+    });
+
+    it('fails the checks of a merge request whose config is rejected', done => {
+      statusesMocked.yields(null, []);
+
+      glh.handleStatusCheck(checkPayload(), () => {
+        let request = {
+          type: 'pull_request',
+          sha: '07fca8f08ae1ad8a77c50beab4bf6302c705e21e',
+          pull_request: {number: 1},
+        };
+        let errors = [{path: 'steps', line: 2, message: 'must be array'}];
+
+        glh.rejectInvalidConfig(request, project, errors, () => {
+          respondMocked.calledOnce.should.equal(true);
+          respondMocked.args[0][2].status.should.equal('failed');
+          glh.statusChecks.checks.should.eql({});
+
+          done();
+        });
+      });
+    });
+
+    it('fails the checks of a merge request without a usable config', done => {
+      statusesMocked.yields(null, []);
+      let configStub = sinon.stub(glh.gitlab, 'fetchProboYamlConfig').yields(new Error('No .probo.yml file was found.'));
+
+      glh.handleStatusCheck(checkPayload(), () => {
+        let request = {
+          type: 'pull_request',
+          sha: '07fca8f08ae1ad8a77c50beab4bf6302c705e21e',
+          pull_request: {number: 1},
+        };
+
+        glh.processBuild(project, request, () => {
+          configStub.restore();
+
+          respondMocked.calledOnce.should.equal(true);
+          respondMocked.args[0][2].status.should.equal('failed');
+          glh.statusChecks.checks.should.eql({});
+
+          done();
+        });
+      });
+    });
+
+    it('passes the checks of a merge request whose build is skipped', done => {
+      statusesMocked.yields(null, []);
+      let filterStub = sinon.stub(glh, 'matchesPathFilters').yields(false);
+
+      glh.handleStatusCheck(checkPayload(), () => {
+        let request = {
+          type: 'pull_request',
+          sha: '07fca8f08ae1ad8a77c50beab4bf6302c705e21e',
+          pull_request: {number: 1},
+        };
+
+        glh.submitFilteredBuild(request, project, {ignore_changes: ['docs/**']}, () => {
+          filterStub.restore();
+
+          respondMocked.calledOnce.should.equal(true);
+          respondMocked.args[0][2].status.should.equal('passed');
+          glh.statusChecks.checks.should.eql({});
+
+          done();
+        });
+      });
+    });
+
+    it('accepts signed requests', done => {
+      statusesMocked.yields(null, []);
+
+      let body = JSON.stringify(checkPayload());
+      let signature = crypto.createHmac('sha256', 'checks').update(body).digest('hex');
+
+      http('/gitlab-status-check', glh).post({
+        body: body,
+        json: false,
+        headers: {'content-type': 'application/json', 'X-Gitlab-Signature': signature},
+      }, (err, res) => {
+        should.not.exist(err);
+        res.statusCode.should.equal(202);
+
+        done();
+      });
+    });
+
+    it('rejects requests with the wrong signature', done => {
+      http('/gitlab-status-check', glh).post({
+        body: checkPayload(),
+        headers: {'X-Gitlab-Signature': 'forged'},
+      }, (err, res) => {
+        should.not.exist(err);
+        res.statusCode.should.equal(401);
+
+        done();
+      });
+    });
+
+    it('does not accept status checks without a secret', done => {
+      let unsigned = new GitLabHandler(Object.assign({}, config, {
+        statusCheckPath: '/gitlab-status-check',
+        statusCheckSecret: '',
+      }));
+
+      unsigned.start(() => {
+        nock.enableNetConnect(unsigned.server.url.replace('http://', ''));
+
+        http('/gitlab-status-check', unsigned).post({body: checkPayload()}, (err, res) => {
+          unsigned.close();
+
+          should.not.exist(err);
+          res.statusCode.should.not.equal(202);
+          respondMocked.called.should.equal(false);
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('invalid probo.yml', () => {
+    let mocks = [];
+    let glh;
+    let updateMocked;
+    let sendMocked;
+    let noteMocked;
+    let commentMocked;
+
+    let project = {id: '1234', provider_id: 1234, slug: 'proboci/testrepo'};
+    let request = {
+      type: 'pull_request',
+      sha: '9a3b1c0',
+      pull_request: {number: 3, html_url: 'https://gitlab.com/proboci/testrepo/merge_requests/3'},
+    };
+
+    before(() => {
+      glh = new GitLabHandler(Object.assign({}, config, {configErrorComments: true}));
+
+      updateMocked = sinon.stub(glh, 'buildStatusUpdateHandler').yields(null);
+      mocks.push(updateMocked);
+      sendMocked = sinon.stub(glh, 'sendBuild').yields(null, {id: 'build1'});
+      mocks.push(sendMocked);
+      noteMocked = sinon.stub(glh.gitlab, 'createMergeRequestNote').yields(null, {});
+      mocks.push(noteMocked);
+      commentMocked = sinon.stub(glh.gitlab, 'createCommitComment').yields(null, {});
+      mocks.push(commentMocked);
+    });
+
+    afterEach(() => {
+      mocks.forEach(mock => mock.resetHistory());
+    });
+
+    after(() => {
+      mocks.forEach(mock => mock.restore());
+      glh.close();
+    });
+
+    it('fails the environment status instead of building', done => {
+      let config = loadYaml(`steps:
+  - name: Setup
+    plugin: 5
+`);
+
+      glh.submitBuild(request, project, config, () => {
+        sendMocked.called.should.equal(false);
+
+        let update = updateMocked.args[0][0];
+        update.state.should.equal('failed');
+        update.context.should.equal('ProboCI/env');
+        update.description.should.equal('Invalid .probo.yml (1 error)');
+        update.target_url.should.equal('https://gitlab.com/proboci/testrepo/merge_requests/3');
+        updateMocked.args[0][1].commit.ref.should.equal('9a3b1c0');
+
+        noteMocked.args[0][1].should.equal(3);
+        noteMocked.args[0][2].should.containEql('- steps[0].plugin (line 3) should be string');
+
+        done();
+      });
+    });
+
+    it('lists the problems of pushed configs in a commit comment', done => {
+      let push = {
+        type: 'branch',
+        sha: '9a3b1c0',
+        commit_url: 'https://gitlab.com/proboci/testrepo/-/commit/9a3b1c0',
+      };
+      let config = loadYaml(`steps:
+  - name: Setup
+    plugin: 5
+  - name: Install
+    plugin: 6
+`);
+
+      glh.submitBuild(push, project, config, () => {
+        let update = updateMocked.args[0][0];
+        update.description.should.equal('Invalid .probo.yml (2 errors)');
+        update.target_url.should.equal('https://gitlab.com/proboci/testrepo/-/commit/9a3b1c0');
+
+        noteMocked.called.should.equal(false);
+        commentMocked.args[0][1].should.equal('9a3b1c0');
+        commentMocked.args[0][2].should.containEql('**Probo did not build this commit**');
+        commentMocked.args[0][2].should.containEql('- steps[0].plugin (line 3) should be string');
+
+        done();
+      });
+    });
+
+    it('builds valid configs, even with unknown top-level keys', done => {
+      glh.submitBuild(request, project, {steps: [], pullRequestBuilds: true}, (err, build) => {
+        build.id.should.equal('build1');
+        updateMocked.called.should.equal(false);
+        noteMocked.called.should.equal(false);
+
+        done();
+      });
+    });
+  });
+
+  describe('commit cache', () => {
+    let glh;
+
+    function admin(path) {
+      return http(path, glh).defaults({headers: {authorization: 'Bearer admin'}});
+    }
+
+    before('start another glh', done => {
+      glh = new GitLabHandler(Object.assign({}, config, {adminToken: 'admin'}));
+
+      glh.start(() => {
+        nock.enableNetConnect(glh.server.url.replace('http://', ''));
+        done();
+      });
+    });
+
+    after(() => {
+      glh.close();
+    });
+
+    it('shows the cache counters', done => {
+      glh.gitlab.cache.set(1234, 'commit:sha1', {sha: 'sha1'});
+      glh.gitlab.cache.get(1234, 'commit:sha1');
+
+      admin('/admin/cache').get({}, (err, res, body) => {
+        res.statusCode.should.equal(200);
+        body.entries.should.equal(1);
+        body.hits.should.equal(1);
+
+        done(err);
+      });
+    });
+
+    it('invalidates the entries of a project', done => {
+      glh.gitlab.cache.set(1234, 'config:sha1', {config: {steps: []}});
+      glh.gitlab.cache.set(5678, 'config:sha1', {config: {steps: []}});
+
+      admin('/admin/cache/projects/1234').del({}, (err, res, body) => {
+        res.statusCode.should.equal(200);
+        body.should.eql({removed: 2});
+        glh.gitlab.cache.stats().entries.should.equal(1);
+
+        done(err);
+      });
+    });
+
+    it('requires the admin token', done => {
+      http('/admin/cache/projects/1234', glh).del({}, (err, res) => {
+        res.statusCode.should.equal(401);
+
+        done(err);
+      });
+    });
+  });
+
+  describe('path filters', () => {
+    let mocks = [];
+    let glh;
+    let compareMocked;
+    let changesMocked;
+    let submitMocked;
+    let updateMocked;
+
+    let project = {id: '1234', provider_id: 1234, slug: 'proboci/testrepo'};
+    let push = {type: 'branch', sha: 'sha2', before: 'sha1', branch: {name: 'main'}};
+    let mergeRequest = {type: 'pull_request', sha: 'sha2', pull_request: {number: 3}};
+    let proboConfig = {steps: [], only_changes: ['web/**', 'composer.*'], ignore_changes: '**/*.md'};
+
+    before(() => {
+      glh = new GitLabHandler(Object.assign({}, config));
+
+      compareMocked = sinon.stub(glh.gitlab, 'getChangedFiles');
+      mocks.push(compareMocked);
+      changesMocked = sinon.stub(glh.gitlab, 'getMergeRequestChangedFiles');
+      mocks.push(changesMocked);
+      submitMocked = sinon.stub(glh, 'submitBuild').yields(null, {id: 'build1'});
+      mocks.push(submitMocked);
+      updateMocked = sinon.stub(glh, 'buildStatusUpdateHandler').yields(null);
+      mocks.push(updateMocked);
+    });
+
+    afterEach(() => {
+      mocks.forEach(mock => mock.reset());
+      submitMocked.yields(null, {id: 'build1'});
+      updateMocked.yields(null);
+    });
+
+    after(() => {
+      mocks.forEach(mock => mock.restore());
+      glh.close();
+    });
+
+    it('builds pushes changing filtered paths', done => {
+      compareMocked.yields(null, ['docs/setup.md', 'web/index.php']);
+
+      glh.submitFilteredBuild(push, project, proboConfig, () => {
+        compareMocked.args[0].slice(0, 3).should.eql([project, 'sha1', 'sha2']);
+        submitMocked.calledOnce.should.equal(true);
+        updateMocked.called.should.equal(false);
+
+        done();
+      });
+    });
+
+    it('skips merge requests only changing ignored paths', done => {
+      changesMocked.yields(null, ['README.md', 'web/README.md']);
+
+      glh.submitFilteredBuild(mergeRequest, project, proboConfig, () => {
+        changesMocked.args[0][1].should.equal(3);
+        submitMocked.called.should.equal(false);
+
+        let update = updateMocked.args[0][0];
+        update.state.should.equal('success');
+        update.context.should.equal('ProboCI/env');
+        update.description.should.equal('Build skipped: no changed file passes the path filters');
+        updateMocked.args[0][1].commit.ref.should.equal('sha2');
+
+        done();
+      });
+    });
+
+    it('skips changes outside of only_changes', done => {
+      changesMocked.yields(null, ['backend/api.go']);
+
+      glh.submitFilteredBuild(mergeRequest, project, proboConfig, () => {
+        submitMocked.called.should.equal(false);
+        updateMocked.calledOnce.should.equal(true);
+
+        done();
+      });
+    });
+
+    it('builds new branches and failed lookups without filtering', done => {
+      compareMocked.yields(new Error('Not Found'));
+
+      glh.submitFilteredBuild(push, project, proboConfig, () => {
+        let newBranch = Object.assign({}, push, {before: '0000000000000000000000000000000000000000'});
+
+        glh.submitFilteredBuild(newBranch, project, proboConfig, () => {
+          compareMocked.calledOnce.should.equal(true);
+          submitMocked.calledTwice.should.equal(true);
+
+          done();
+        });
+      });
+    });
+
+    it('does not list changes without filters', done => {
+      glh.submitFilteredBuild(mergeRequest, project, {steps: []}, () => {
+        changesMocked.called.should.equal(false);
+        submitMocked.calledOnce.should.equal(true);
+
+        done();
+      });
+    });
+  });
+
+  describe('config overrides', () => {
+    let mocks = [];
+    let glh;
+    let configMocked;
+    let sendMocked;
+
+    let project = {id: '1234', provider_id: 1234, slug: 'proboci/testrepo'};
+    let request = {
+      type: 'branch',
+      sha: 'sha1',
+      slug: 'proboci/testrepo',
+      branch: {name: 'main'},
+      message: 'Deploy',
+    };
+
+    before(() => {
+      glh = new GitLabHandler(config);
+
+      configMocked = sinon.stub(glh.gitlab, 'fetchProboYamlConfig');
+      mocks.push(configMocked);
+      sendMocked = sinon.stub(glh, 'sendBuild').yields(null, {id: 'build1'});
+      mocks.push(sendMocked);
+      mocks.push(sinon.stub(glh, 'buildStatusUpdateHandler').yields(null));
+    });
+
+    afterEach(() => {
+      mocks.forEach(mock => mock.resetHistory());
+    });
+
+    after(() => {
+      mocks.forEach(mock => mock.restore());
+      glh.close();
+    });
+
+    it('merges matching overrides and records them on the build', done => {
+      configMocked.yields(null, {
+        branches: 'main',
+        steps: [{name: 'Import sanitized database', plugin: 'Drupal'}],
+        overrides: [
+          {name: 'Skip the import on main', branch: 'main', config: {steps: []}},
+          {name: 'Merge requests', event: 'pull_request', config: {image: 'other'}},
+        ],
+      });
+
+      glh.processBuild(project, request, (err) => {
+        should.not.exist(err);
+
+        let [submitted, , submittedConfig] = sendMocked.args[0];
+        submittedConfig.should.eql({branches: 'main', steps: []});
+        submitted.overrides.should.eql(['Skip the import on main']);
+        glh.createBuild(submitted, submittedConfig).overrides.should.eql(['Skip the import on main']);
+
+        done();
+      });
+    });
+
+    it('fails the environment status for malformed overrides', done => {
+      configMocked.yields(null, {branches: 'main', overrides: {branch: 'main'}});
+
+      glh.processBuild(project, request, () => {
+        sendMocked.called.should.equal(false);
+
+        let update = glh.buildStatusUpdateHandler.args[0][0];
+        update.state.should.equal('error');
+        update.description.should.equal('Invalid .probo.yml: overrides must be a list');
+
+        done();
+      });
+    });
+  });
+
   describe('probo.yaml file parsing', () => {
     let mocks = [];
     let updateSpy;
@@ -269,6 +2473,9 @@ describe('GitLabHandler', () => {
       glh = new GitLabHandler(config);
 
       let gitLabApi = sinon.stub(glh.gitlab, 'getApi').returns({
+        Repositories: {
+          tree: () => Promise.resolve([{path: '.probo.yml', type: 'blob'}]),
+        },
         RepositoryFiles: {
           show: (projectId, filePath, ref) => {
             if (ref == 'sha1') {
@@ -326,6 +2533,7 @@ describe('GitLabHandler', () => {
         let param2 = {
           commit: {ref: 'sha1'},
           project: {},
+          configRejected: true,
         };
         try {
           updateSpy.calledWith(param1, param2).should.equal(true);
@@ -0,0 +1,132 @@
+'use strict';
+
+const should = require('should');
+
+const {resolveIncludes} = require('../lib/includes');
+const {deepMerge} = require('../lib/merge');
+
+describe('includes', () => {
+  let root = {type: 'local', repo: 1234, ref: 'sha1', file: '.probo.yml'};
+
+  function loader(files) {
+    let loaded = [];
+    let load = (source, cb) => {
+      let name = source.type === 'template' ? `template:${source.name}` : `${source.repo}@${source.ref}:${source.file}`;
+      loaded.push(name);
+
+      if (!files.hasOwnProperty(name)) {
+        return cb(new Error('File not found'));
+      }
+
+      cb(null, files[name]);
+    };
+    load.loaded = loaded;
+
+    return load;
+  }
+
+  it('deep merges mappings and replaces lists', () => {
+    deepMerge(
+      {image: 'a', basicAuth: {username: 'probo', password: 'x'}, steps: [1, 2]},
+      {basicAuth: {password: 'y'}, steps: [3]}
+    ).should.eql({image: 'a', basicAuth: {username: 'probo', password: 'y'}, steps: [3]});
+  });
+
+  it('merges includes in order under the including config', done => {
+    let load = loader({
+      'template:drupal': {image: 'drupal', steps: ['drupal'], basicAuth: {username: 'probo'}},
+      'proboci/shared@v2:probo/base.yml': {image: 'shared', basicAuth: {password: 'secret'}},
+      '1234@sha1:probo/local.yml': {assets: ['dev.sql.gz']},
+    });
+
+    let config = {
+      include: [
+        {template: 'drupal'},
+        {project: 'proboci/shared', ref: 'v2', file: '/probo/base.yml'},
+        'probo/local.yml',
+      ],
+      steps: ['own'],
+    };
+
+    resolveIncludes(config, root, load, {}, (err, resolved) => {
+      should.not.exist(err);
+      resolved.should.eql({
+        image: 'shared',
+        steps: ['own'],
+        basicAuth: {username: 'probo', password: 'secret'},
+        assets: ['dev.sql.gz'],
+      });
+
+      done();
+    });
+  });
+
+  it('resolves local includes of other projects in those projects', done => {
+    let load = loader({
+      'proboci/shared@HEAD:base.yml': {include: 'common.yml', image: 'shared'},
+      'proboci/shared@HEAD:common.yml': {steps: ['common']},
+    });
+
+    resolveIncludes({include: {project: 'proboci/shared', file: 'base.yml'}}, root, load, {}, (err, resolved) => {
+      should.not.exist(err);
+      resolved.should.eql({image: 'shared', steps: ['common']});
+
+      done();
+    });
+  });
+
+  it('detects include cycles', done => {
+    let load = loader({
+      '1234@sha1:a.yml': {include: 'b.yml'},
+      '1234@sha1:b.yml': {include: 'a.yml'},
+    });
+
+    resolveIncludes({include: 'a.yml'}, root, load, {}, (err) => {
+      err.message.should.equal('Include cycle: 1234@sha1:.probo.yml -> 1234@sha1:a.yml -> 1234@sha1:b.yml -> 1234@sha1:a.yml');
+      load.loaded.should.eql(['1234@sha1:a.yml', '1234@sha1:b.yml']);
+
+      done();
+    });
+  });
+
+  it('stops at the depth limit', done => {
+    let load = loader({
+      '1234@sha1:1.yml': {include: '2.yml'},
+      '1234@sha1:2.yml': {include: '3.yml'},
+      '1234@sha1:3.yml': {image: 'deep'},
+    });
+
+    resolveIncludes({include: '1.yml'}, root, load, {maxDepth: 2}, (err) => {
+      err.message.should.startWith('Includes are nested more than 2 levels deep');
+      load.loaded.should.eql(['1234@sha1:1.yml', '1234@sha1:2.yml']);
+
+      done();
+    });
+  });
+
+  it('reports includes that cannot be loaded', done => {
+    resolveIncludes({include: [{template: 'missing'}]}, root, loader({}), {}, (err) => {
+      err.message.should.equal('Failed to include template missing: File not found');
+
+      done();
+    });
+  });
+
+  it('rejects invalid includes', done => {
+    resolveIncludes({include: [{template: '../secrets'}]}, root, loader({}), {}, (err) => {
+      err.message.should.equal('1234@sha1:.probo.yml: Invalid template name: ../secrets');
+
+      done();
+    });
+  });
+
+  it('leaves configs without includes alone', done => {
+    let config = {steps: []};
+
+    resolveIncludes(config, root, loader({}), {}, (err, resolved) => {
+      resolved.should.equal(config);
+
+      done();
+    });
+  });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+require('should');
+
+const {applyOverrides} = require('../lib/overrides');
+
+describe('overrides', () => {
+  let config = {
+    steps: [{name: 'Import sanitized database', plugin: 'Drupal'}],
+    basicAuth: {username: 'probo', password: 'review'},
+    overrides: [
+      {
+        name: 'Production data on main',
+        event: 'branch',
+        branch: 'main',
+        config: {steps: [{name: 'Import production database', plugin: 'Drupal'}]},
+      },
+      {
+        event: ['pull_request'],
+        target_branch: 'release/*',
+        config: {basicAuth: {password: 'release'}},
+      },
+      {
+        labels: ['probo:public', 'probo:demo'],
+        config: {basicAuth: {password: 'demo'}},
+      },
+    ],
+  };
+
+  it('merges the matching overrides in order', () => {
+    let request = {
+      type: 'pull_request',
+      branch: {name: 'feature'},
+      pull_request: {number: 3, target_branch: 'release/2.0'},
+      labels: ['probo:demo'],
+    };
+
+    let result = applyOverrides(config, request);
+
+    result.applied.should.eql(['overrides[1]', 'overrides[2]']);
+    result.config.should.eql({
+      steps: [{name: 'Import sanitized database', plugin: 'Drupal'}],
+      basicAuth: {username: 'probo', password: 'demo'},
+    });
+    config.basicAuth.password.should.equal('review');
+  });
+
+  it('matches on the event and branch', () => {
+    let result = applyOverrides(config, {type: 'branch', branch: {name: 'main'}});
+
+    result.applied.should.eql(['Production data on main']);
+    result.config.steps[0].name.should.equal('Import production database');
+
+    applyOverrides(config, {type: 'pull_request', branch: {name: 'main'}, pull_request: {}}).applied.should.eql([]);
+  });
+
+  it('refuses malformed overrides', () => {
+    (() => applyOverrides({overrides: [{branch: 'main'}]}, {type: 'branch'}))
+      .should.throw('overrides[0] must be a mapping with a config mapping');
+    (() => applyOverrides({overrides: [{brnach: 'main', config: {}}]}, {type: 'branch'}))
+      .should.throw('overrides[0] has unknown conditions: brnach');
+  });
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+const bunyan = require('bunyan');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const should = require('should');
+const sinon = require('sinon');
+
+const WorkQueue = require('../lib/queue');
+
+const logger = bunyan.createLogger({name: 'tests', level: Number.POSITIVE_INFINITY});
+
+describe('WorkQueue', () => {
+  let dir;
+  let queue;
+
+  beforeEach(() => {
+    dir = path.join(os.tmpdir(), `probo-queue-${process.pid}-${Date.now()}`);
+  });
+
+  afterEach(() => {
+    if (queue) {
+      queue.stop();
+    }
+
+    fs.rmdirSync(dir, {recursive: true});
+  });
+
+  it('runs queued jobs', done => {
+    let worker = sinon.stub().yields();
+
+    queue = new WorkQueue(worker, {path: dir}, logger);
+    queue.queue.drain(() => {
+      worker.calledOnce.should.equal(true);
+      worker.args[0][0].should.eql({event: 'push'});
+      fs.readdirSync(dir).should.eql(['failed']);
+
+      done();
+    });
+
+    queue.start();
+    queue.push({event: 'push'}, (err, job) => {
+      should.not.exist(err);
+      job.id.should.be.a.String();
+    });
+  });
+
+  it('retries failed jobs with a backoff', done => {
+    let worker = sinon.stub();
+    worker.onFirstCall().yields(new Error('GitLab is down'));
+    worker.onSecondCall().yields(new Error('GitLab is down'));
+    worker.onThirdCall().yields();
+
+    queue = new WorkQueue(worker, {path: dir, retryDelay: 1}, logger);
+    queue.queue.drain(() => {
+      if (worker.callCount === 3) {
+        fs.readdirSync(dir).should.eql(['failed']);
+
+        done();
+      }
+    });
+
+    queue.start();
+    queue.push({event: 'push'}, () => {});
+  });
+
+  it('moves jobs that keep failing to the failed directory', done => {
+    queue = new WorkQueue((data, cb) => {
+      cb(new Error('Project not found'));
+    }, {path: dir, retryDelay: 1, maxAttempts: 2}, logger);
+
+    queue.queue.drain(() => {
+      if (!queue.timers.length) {
+        fs.readdirSync(path.join(dir, 'failed')).length.should.equal(1);
+        fs.readdirSync(dir).should.eql(['failed']);
+
+        done();
+      }
+    });
+
+    queue.start();
+    queue.push({event: 'push'}, () => {});
+  });
+
+  it('keeps only the latest failed jobs', done => {
+    queue = new WorkQueue((data, cb) => {
+      cb(new Error('Coordinator is down'));
+    }, {path: dir, maxAttempts: 1, maxFailed: 2}, logger);
+
+    queue.queue.drain(() => {
+      let failed = fs.readdirSync(path.join(dir, 'failed')).sort();
+      failed.length.should.equal(2);
+      failed[0].should.equal('1000000000001-b.json');
+
+      done();
+    });
+
+    queue.start();
+    ['1000000000000-a.json', '1000000000001-b.json'].forEach((name) => {
+      fs.writeFileSync(path.join(dir, 'failed', name), '{}');
+    });
+    queue.push({event: 'push'}, () => {});
+  });
+
+  it('counts a worker that throws as a failed attempt', done => {
+    let worker = sinon.stub().throws(new TypeError('Cannot read property ref of undefined'));
+
+    queue = new WorkQueue(worker, {path: dir, retryDelay: 1, maxAttempts: 2}, logger);
+    queue.queue.drain(() => {
+      if (!queue.timers.length) {
+        worker.calledTwice.should.equal(true);
+        fs.readdirSync(path.join(dir, 'failed')).length.should.equal(1);
+        fs.readdirSync(dir).should.eql(['failed']);
+
+        done();
+      }
+    });
+
+    queue.start();
+    queue.push({}, () => {});
+  });
+
+  it('requeues jobs left over from a previous run', done => {
+    queue = new WorkQueue((data, cb) => {
+      cb(new Error('Coordinator is down'));
+    }, {path: dir, retryDelay: 60000}, logger);
+
+    queue.start();
+    queue.push({event: 'push'}, () => {
+      // Gives the first attempt time to fail and be saved.
+      setTimeout(() => {
+        queue.stop();
+
+        queue = new WorkQueue((data, cb) => {
+          data.should.eql({event: 'push'});
+          cb();
+
+          done();
+        }, {path: dir}, logger);
+
+        // The retry is due now rather than in a minute.
+        let file = path.join(dir, fs.readdirSync(dir).find((name) => name.endsWith('.json')));
+        let job = JSON.parse(fs.readFileSync(file, 'utf8'));
+        job.attempts.should.equal(1);
+        job.notBefore = 0;
+        fs.writeFileSync(file, JSON.stringify(job));
+
+        queue.start();
+      }, 50);
+    });
+  });
+});
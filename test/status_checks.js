@@ -0,0 +1,77 @@
+'use strict';
+
+const bunyan = require('bunyan');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const should = require('should');
+const sinon = require('sinon');
+
+const StatusCheckStore = require('../lib/status_checks');
+
+const logger = bunyan.createLogger({name: 'tests', level: Number.POSITIVE_INFINITY});
+
+describe('StatusCheckStore', () => {
+  let dir;
+  let file;
+
+  let checks = {
+    project: {id: '1234', provider_id: 1234, service_auth: {token: 'testing'}},
+    iid: 1,
+    sha: '07fca8f08ae1ad8a77c50beab4bf6302c705e21e',
+    checkIds: [7],
+  };
+
+  beforeEach(() => {
+    dir = path.join(os.tmpdir(), `probo-status-checks-${process.pid}-${Date.now()}`);
+    file = path.join(dir, 'status-checks.json');
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(dir)) {
+      fs.rmdirSync(dir, {recursive: true});
+    }
+  });
+
+  it('keeps waiting checks across instances without their tokens', done => {
+    let store = new StatusCheckStore({path: file}, logger);
+
+    store.add('1234:07fca8f', checks, (err) => {
+      should.not.exist(err);
+
+      let reloaded = new StatusCheckStore({path: file}, logger).get('1234:07fca8f');
+      reloaded.checkIds.should.eql([7]);
+      should.not.exist(reloaded.project.service_auth);
+
+      store.remove('1234:07fca8f', (err) => {
+        should.not.exist(err);
+        should.not.exist(new StatusCheckStore({path: file}, logger).get('1234:07fca8f'));
+
+        done();
+      });
+    });
+  });
+
+  it('forgets checks that waited too long', done => {
+    let clock = sinon.useFakeTimers(new Date('2026-10-19T09:30:00.000Z'));
+    let store = new StatusCheckStore({ttl: 60}, logger);
+
+    store.add('1234:07fca8f', checks, () => {
+      clock.tick(59000);
+      store.get('1234:07fca8f').iid.should.equal(1);
+
+      clock.tick(1000);
+      should.not.exist(store.get('1234:07fca8f'));
+
+      clock.restore();
+      done();
+    });
+  });
+
+  it('starts empty when the file cannot be read', () => {
+    fs.mkdirSync(dir);
+    fs.writeFileSync(file, '{"1234:07fca8f": {"iid"');
+
+    should.not.exist(new StatusCheckStore({path: file}, logger).get('1234:07fca8f'));
+  });
+});
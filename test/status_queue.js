@@ -0,0 +1,59 @@
+'use strict';
+
+const should = require('should');
+
+const StatusQueue = require('../lib/status_queue');
+
+describe('StatusQueue', () => {
+  let posting;
+  let queue;
+
+  beforeEach(() => {
+    posting = [];
+    queue = new StatusQueue((update, cb) => {
+      posting.push({update: update, cb: cb});
+    }, {concurrency: 2});
+  });
+
+  it('posts the updates of a project one at a time', () => {
+    queue.push('1', 'sha1:ci/env', {state: 'pending'}, () => {});
+    queue.push('1', 'sha1:ci/build', {state: 'pending'}, () => {});
+
+    posting.length.should.equal(1);
+
+    posting[0].cb();
+    posting.length.should.equal(2);
+    posting[1].update.should.eql({state: 'pending'});
+  });
+
+  it('posts for different projects at once up to the limit', () => {
+    queue.push('1', 'sha1:ci/env', {state: 'pending'}, () => {});
+    queue.push('2', 'sha2:ci/env', {state: 'pending'}, () => {});
+    queue.push('3', 'sha3:ci/env', {state: 'pending'}, () => {});
+
+    posting.length.should.equal(2);
+    queue.length().should.equal(1);
+
+    posting[1].cb();
+    posting.length.should.equal(3);
+    posting[2].update.should.eql({state: 'pending'});
+  });
+
+  it('only posts the latest waiting update for a sha and context', () => {
+    let results = [];
+
+    queue.push('1', 'sha1:ci/env', {state: 'pending'}, () => {});
+    queue.push('1', 'sha1:ci/env', {state: 'running'}, (err, res) => results.push(res));
+    queue.push('1', 'sha1:ci/env', {state: 'success'}, (err, res) => results.push(res));
+
+    queue.length().should.equal(1);
+
+    posting[0].cb(null, 'pending posted');
+    posting.length.should.equal(2);
+    posting[1].update.should.eql({state: 'success'});
+
+    posting[1].cb(null, 'success posted');
+    results.should.eql(['success posted', 'success posted']);
+    should.not.exist(queue.pending['1']);
+  });
+});
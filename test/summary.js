@@ -0,0 +1,48 @@
+'use strict';
+
+const should = require('should');
+
+const summary = require('../lib/summary');
+
+describe('summary', () => {
+  let now = new Date('2026-10-19T09:30:00.000Z');
+
+  it('renders the environment, commit, update time and contexts', () => {
+    let state = summary.updateSummary(null, '07fca8f08ae1ad8a77c50beab4bf6302c705e21e', {
+      state: 'success',
+      description: 'Environment built!',
+      context: 'ProboCI/env',
+      target_url: 'https://abc123.probo.build',
+    }, now);
+
+    let body = summary.renderSummary(state);
+
+    body.should.startWith('<!-- probo:summary ');
+    body.should.containEql('**Environment:** https://abc123.probo.build');
+    body.should.containEql('**Commit:** 07fca8f0');
+    body.should.containEql('**Last update:** 2026-10-19 09:30:00 UTC');
+    body.should.containEql('| [ProboCI/env](https://abc123.probo.build) | ✅ success | Environment built! |');
+  });
+
+  it('reads its state back from the hidden marker', () => {
+    let state = summary.updateSummary(null, 'sha1', {
+      state: 'running',
+      description: 'Running | step --> 2',
+      context: 'ProboCI/build',
+    }, now);
+
+    let body = summary.renderSummary(state);
+
+    summary.parseSummary(`Some text\n${body}`).should.eql(state);
+    body.should.containEql('| ProboCI/build | 🔄 running | Running \\| step --> 2 |');
+    should.not.exist(summary.parseSummary('A regular comment'));
+  });
+
+  it('starts over when a new sha is built', () => {
+    let state = summary.updateSummary(null, 'sha1', {state: 'success', context: 'ProboCI/env'}, now);
+    state = summary.updateSummary(state, 'sha2', {state: 'pending', context: 'ProboCI/build'}, now);
+
+    state.sha.should.equal('sha2');
+    Object.keys(state.contexts).should.eql(['ProboCI/build']);
+  });
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+const bunyan = require('bunyan');
+const nock = require('nock');
+const should = require('should');
+
+const TokenManager = require('../lib/token_manager');
+
+const logger = bunyan.createLogger({name: 'tests', level: Number.POSITIVE_INFINITY});
+
+describe('TokenManager', () => {
+  let tokens;
+
+  let config = {
+    api: {url: 'http://localhost:3000', token: 'token'},
+    clientKey: 'key',
+    clientSecret: 'secret',
+    callbackURL: 'http://localhost/callback',
+  };
+
+  let project = {
+    id: '1234',
+    organizationId: 'org',
+    service_auth: {token: 'stored', refreshToken: 'stored-refresh'},
+  };
+
+  function now() {
+    return Math.floor(Date.now() / 1000);
+  }
+
+  function coordinatorTokens(body) {
+    return nock('http://localhost:3000')
+      .get('/projects/tokens')
+      .matchHeader('projectid', '1234')
+      .reply(200, body);
+  }
+
+  function gitLabRefresh(accessToken) {
+    return nock('https://gitlab.com')
+      .post('/oauth/token', /grant_type=refresh_token/)
+      .reply(200, {
+        access_token: accessToken,
+        refresh_token: `${accessToken}-refresh`,
+        created_at: now(),
+        expires_in: 7200,
+      });
+  }
+
+  function coordinatorSave() {
+    return nock('http://localhost:3000')
+      .post('/projects/tokens')
+      .reply(200, {});
+  }
+
+  beforeEach(() => {
+    tokens = new TokenManager(config, logger);
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('reads the tokens once and keeps them', done => {
+    let read = coordinatorTokens({oauthToken: 'a', refreshToken: 'b', createdAt: now(), expiresIn: 7200});
+
+    tokens.getTokens(project, (err, first) => {
+      should.not.exist(err);
+      first.token.should.equal('a');
+      read.isDone().should.equal(true);
+
+      tokens.getTokens(project, (err, second) => {
+        should.not.exist(err);
+        second.should.equal(first);
+
+        done();
+      });
+    });
+  });
+
+  it('refreshes tokens that are about to expire', done => {
+    coordinatorTokens({oauthToken: 'old', refreshToken: 'old-refresh', createdAt: now() - 7100, expiresIn: 7200});
+    let refresh = gitLabRefresh('new');
+    let save = coordinatorSave();
+
+    tokens.getTokens(project, (err, result) => {
+      should.not.exist(err);
+      result.token.should.equal('new');
+      result.refreshToken.should.equal('new-refresh');
+      refresh.isDone().should.equal(true);
+      save.isDone().should.equal(true);
+
+      done();
+    });
+  });
+
+  it('runs one refresh for concurrent requests', done => {
+    tokens.tokens[project.id] = {token: 'old', refreshToken: 'old-refresh', expiresAt: Date.now() + 1000};
+    gitLabRefresh('new');
+    coordinatorSave();
+
+    let results = [];
+    let finish = (err, result) => {
+      should.not.exist(err);
+      results.push(result.token);
+
+      if (results.length === 2) {
+        results.should.eql(['new', 'new']);
+        done();
+      }
+    };
+
+    // A second refresh would not be mocked and fail.
+    tokens.getTokens(project, finish);
+    tokens.getTokens(project, finish);
+  });
+
+  it('keeps tokens that are still valid when the refresh fails', done => {
+    let current = {token: 'old', refreshToken: 'old-refresh', expiresAt: Date.now() + 1000};
+    tokens.tokens[project.id] = current;
+    nock('https://gitlab.com').post('/oauth/token').reply(400, {error: 'invalid_grant'});
+
+    tokens.getTokens(project, (err, result) => {
+      should.not.exist(err);
+      result.should.equal(current);
+
+      done();
+    });
+  });
+
+  it('refreshes a rejected token', done => {
+    tokens.tokens[project.id] = {token: 'old', refreshToken: 'old-refresh', expiresAt: null};
+    coordinatorTokens({oauthToken: 'old', refreshToken: 'old-refresh'});
+    gitLabRefresh('new');
+    coordinatorSave();
+
+    tokens.replaceRejectedTokens(project, 'old', (err, result) => {
+      should.not.exist(err);
+      result.token.should.equal('new');
+      tokens.tokens[project.id].should.equal(result);
+
+      done();
+    });
+  });
+
+  it('uses tokens that were replaced since the token was rejected', done => {
+    let current = {token: 'new', refreshToken: 'new-refresh', expiresAt: null};
+    tokens.tokens[project.id] = current;
+
+    tokens.replaceRejectedTokens(project, 'old', (err, result) => {
+      should.not.exist(err);
+      result.should.equal(current);
+
+      done();
+    });
+  });
+});